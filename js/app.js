@@ -5,6 +5,56 @@ MathJax.Hub.Queue(function () {
   // Unhide diagram
   $('#hidden').css('visibility', '')
 
-  lib.drawReactanceVsCapacitance('box')
-  // lib.drawReactanceVsFrequency('box')
+  var capacitancePlot = lib.drawReactanceVsCapacitance('box')
+  lib.drawPhasors('phasor-box', capacitancePlot)
+  var frequencyPlot = lib.drawReactanceVsFrequency('frequency-box')
+  lib.drawWaveforms('waveform-box', capacitancePlot, frequencyPlot)
+  lib.drawToleranceBands('tolerance-box', frequencyPlot)
+  lib.drawDielectricDerating('dielectric-box', frequencyPlot)
+  lib.drawHarmonics('harmonics-box', capacitancePlot, frequencyPlot)
+  lib.drawPowerTriangle('power-box', capacitancePlot, frequencyPlot)
+  lib.drawPowerFactorCorrection('correction-box', 'correction-reactance-box')
+  lib.drawCapacitorNetwork('network-box', frequencyPlot)
+  lib.drawParallelPlates('plates-box', 'plates-frequency-box')
+  lib.drawReactanceVsInductance('inductance-box')
+  lib.drawReactanceVsFrequency('inductor-frequency-box', 'inductor')
+  lib.drawImpedanceVsFrequency('impedance-box', 'phase-box')
+  lib.drawSeriesResonance('resonance-box')
+  lib.drawParallelResonance('parallel-box', 'branch-current-box')
+  lib.drawImpedancePlane('impedance-plane-box')
+  lib.drawSmithChart('smith-box')
+  lib.drawTransformer('transformer-impedance-box', 'transformer-box')
+  var circuitPlot = lib.drawCircuitResponse('circuit-gain-box', 'circuit-phase-box', {
+    elements: [
+      { name: 'V1', type: 'V', nodes: [1, 0], value: 1 },
+      { name: 'R1', type: 'R', nodes: [1, 2], value: 1 },
+      { name: 'C1', type: 'C', nodes: [2, 0], value: 0.1 },
+      { name: 'R2', type: 'R', nodes: [2, 3], value: 1 },
+      { name: 'C2', type: 'C', nodes: [3, 0], value: 0.1 }
+    ],
+    input: 0,
+    output: 3
+  })
+
+  $('#netlist-load').on('click', function () {
+    try {
+      circuitPlot.setCircuit(lib.parseNetlist($('#netlist').val()))
+      $('#netlist-error').text('')
+    } catch (e) {
+      $('#netlist-error').text(e.message)
+    }
+  })
+
+  $('#netlist-export').on('click', function () {
+    $('#netlist').val(lib.exportNetlist(circuitPlot.circuit()))
+    $('#netlist-error').text('')
+  })
+
+  lib.drawSchematic('schematic-box', 'schematic-impedance-box', circuitPlot)
+  lib.drawRealCapacitor('real-capacitor-box')
+  lib.drawTransient('transient-box')
+  lib.drawBodePlot('bode-gain-box', 'bode-phase-box')
+  lib.drawFilterDesigner('filter-designer-box')
+  lib.drawHigherOrderFilter('higher-order-gain-box', 'higher-order-phase-box')
+  lib.drawActiveFilter('active-filter-box', 'active-filter-sensitivity-box')
 })
@@ -3,26 +3,19 @@
 var lib = {}
 
 ;(function (ns) {
-  ns.drawReactanceVsCapacitance = function (graphElemID) {
-    var board = JXG.JSXGraph.initBoard(graphElemID, {
-      boundingbox: [-0.5, 10, 10, -0.5],
+  /* Create a board with the conventions shared by every reactance plot. */
+  function initBoard (graphElemID, boundingbox) {
+    return JXG.JSXGraph.initBoard(graphElemID, {
+      boundingbox: boundingbox || [-0.5, 10, 10, -0.5],
       keepaspectratio: false,
       showCopyright: false
     })
+  }
 
-    var frequency = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
-      { name: 'frequency in Hz' })
-
-    board.create('functiongraph', [
-      function (C) {
-        if (C > 0) {
-          return 1 / (2 * Math.PI * frequency.Value() * C)
-        }
-      }
-    ])
-
+  /* Draw labelled x and y axes through the origin. */
+  function createAxes (board, xName, yName) {
     board.create('axis', [[0, 0], [1, 0]], {
-      name: 'C',
+      name: xName,
       withLabel: true,
       label: {
         position: 'rt',  // possible values are 'lft', 'rt', 'top', 'bot'
@@ -31,7 +24,7 @@ var lib = {}
     })
 
     board.create('axis', [[0, 0], [0, 1]], {
-      name: 'X_C',
+      name: yName,
       withLabel: true,
       label: {
         position: 'rt',  // possible values are 'lft', 'rt', 'top', 'bot'
@@ -40,40 +33,3245 @@ var lib = {}
     })
   }
 
-  ns.drawReactanceVsFrequency = function (graphElemID) {
-    var board = JXG.JSXGraph.initBoard(graphElemID, {
-      boundingbox: [-0.5, 10, 10, -0.5],
-      keepaspectratio: false,
-      showCopyright: false
-    })
-
-    var capacitance = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
-      { name: 'capacitance in Farads' })
+  /* Format a value with three significant figures and an SI prefix. */
+  function formatSI (value) {
+    var prefixes = ['p', 'n', '\u00b5', 'm', '', 'k', 'M', 'G']
+    var group = Math.floor(Math.log10(Math.abs(value)) / 3 + 1e-9)
+    group = Math.min(Math.max(group, -4), 3)
+    return Number((value / Math.pow(1000, group)).toPrecision(3)).toString() +
+      prefixes[group + 4]
+  }
 
-    board.create('functiongraph', [
-      function (f) {
-        if (f > 0) {
-          return 1 / (2 * Math.PI * capacitance.Value() * f)
-        }
+  /* Ticks at each decade of an axis plotted on a log10 scale. */
+  function logTicks () {
+    return {
+      drawZero: true,
+      insertTicks: false,
+      ticksDistance: 1,
+      minorTicks: 0,
+      generateLabelText: function (tick, zero) {
+        return formatSI(Math.pow(10, Math.round(this.getDistanceFromZero(zero, tick))))
       }
-    ])
+    }
+  }
 
-    board.create('axis', [[0, 0], [1, 0]], {
-      name: 'f',
+  /* Draw axes for a plot against log10 of frequency, labelling the frequency
+     ticks in Hz at each decade and placing the y axis at the left edge of the
+     minDecade decade. */
+  function createLogFrequencyAxes (board, yName, minDecade) {
+    createLogAxes(board, 'f', yName, [minDecade, 0], false)
+  }
+
+  /* Draw axes with a log10 scale on x, and on y too when logY is set, meeting
+     at origin, which is given in plotted (logarithmic) coordinates. */
+  function createLogAxes (board, xName, yName, origin, logY) {
+    board.create('axis', [[0, origin[1]], [1, origin[1]]], {
+      name: xName,
       withLabel: true,
       label: {
         position: 'rt',  // possible values are 'lft', 'rt', 'top', 'bot'
         offset: [-15, 20]   // (in pixels)
-      }
+      },
+      ticks: logTicks()
     })
 
-    board.create('axis', [[0, 0], [0, 1]], {
-      name: 'X_C',
+    board.create('axis', [[origin[0], 0], [origin[0], 1]], {
+      name: yName,
       withLabel: true,
       label: {
         position: 'rt',  // possible values are 'lft', 'rt', 'top', 'bot'
         offset: [30, 0]   // (in pixels)
+      },
+      ticks: logY ? logTicks() : {}
+    })
+  }
+
+  /* Parse a value with an optional SI prefix and unit, such as '4.7k' or
+     '100nF', giving NaN if it is not a number. */
+  function parseSI (text) {
+    var multipliers = { p: 1e-12, n: 1e-9, u: 1e-6, '\u00b5': 1e-6, m: 1e-3, k: 1e3, M: 1e6, G: 1e9 }
+    var match = /^\s*((?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e-?[0-9]+)?)\s*([pnu\u00b5mkMG]?)\s*(?:F|H|Hz|V|A|W|s|\u03a9|[Oo]hms?)?\s*$/.exec(text)
+    if (!match) {
+      return NaN
+    }
+    return parseFloat(match[1]) * (multipliers[match[2]] || 1)
+  }
+
+  /* The E-series of preferred component values within one decade. */
+  var preferredValues = {
+    E6: [1.0, 1.5, 2.2, 3.3, 4.7, 6.8],
+    E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2],
+    E24: [1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0, 3.3, 3.6,
+      3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1],
+    E96: [1.00, 1.02, 1.05, 1.07, 1.10, 1.13, 1.15, 1.18, 1.21, 1.24, 1.27,
+      1.30, 1.33, 1.37, 1.40, 1.43, 1.47, 1.50, 1.54, 1.58, 1.62, 1.65, 1.69,
+      1.74, 1.78, 1.82, 1.87, 1.91, 1.96, 2.00, 2.05, 2.10, 2.15, 2.21, 2.26,
+      2.32, 2.37, 2.43, 2.49, 2.55, 2.61, 2.67, 2.74, 2.80, 2.87, 2.94, 3.01,
+      3.09, 3.16, 3.24, 3.32, 3.40, 3.48, 3.57, 3.65, 3.74, 3.83, 3.92, 4.02,
+      4.12, 4.22, 4.32, 4.42, 4.53, 4.64, 4.75, 4.87, 4.99, 5.11, 5.23, 5.36,
+      5.49, 5.62, 5.76, 5.90, 6.04, 6.19, 6.34, 6.49, 6.65, 6.81, 6.98, 7.15,
+      7.32, 7.50, 7.68, 7.87, 8.06, 8.25, 8.45, 8.66, 8.87, 9.09, 9.31, 9.53,
+      9.76]
+  }
+
+  /* Find the preferred value in the named E-series closest to value, on a
+     logarithmic scale. */
+  function nearestPreferredValue (value, series) {
+    var decade = Math.pow(10, Math.floor(Math.log10(value)))
+    var candidates = preferredValues[series].concat([10])
+    var best = candidates[0] * decade
+
+    candidates.forEach(function (candidate) {
+      if (Math.abs(Math.log(candidate * decade / value)) < Math.abs(Math.log(best / value))) {
+        best = candidate * decade
+      }
+    })
+    return best
+  }
+
+  /* Illustrative models of how ceramic dielectrics lose capacitance, giving
+     the fractional change in capacitance with temperature in degrees Celsius
+     and with DC bias as a fraction of the rated voltage. Each stays within its
+     EIA class limits over its rated temperature range. */
+  var dielectrics = {
+    'C0G': {
+      color: 'black',
+      range: [-55, 125],
+      temperature: function (T) { return 30e-6 * (T - 25) },
+      bias: function (v) { return 0 }
+    },
+    'X7R': {
+      color: 'blue',
+      range: [-55, 125],
+      temperature: function (T) {
+        return -0.15 * Math.pow((T - 25) / (T < 25 ? 80 : 100), 2)
+      },
+      bias: function (v) { return -0.4 * Math.pow(v, 1.5) }
+    },
+    'X5R': {
+      color: 'green',
+      range: [-55, 85],
+      temperature: function (T) {
+        return -0.15 * Math.pow((T - 25) / (T < 25 ? 80 : 60), 2)
+      },
+      bias: function (v) { return -0.6 * Math.pow(v, 1.5) }
+    },
+    'Y5V': {
+      color: 'red',
+      range: [-30, 85],
+      temperature: function (T) {
+        return Math.max(-0.82, -0.82 * Math.pow((T - 25) / 60, 2))
+      },
+      bias: function (v) { return -0.8 * Math.pow(v, 1.2) }
+    }
+  }
+
+  /* Capacitance left of nominal once the named dielectric is derated. */
+  function deratedCapacitance (C, name, T, v) {
+    var dielectric = dielectrics[name]
+    return C * Math.max(0.01, (1 + dielectric.temperature(T)) * (1 + dielectric.bias(v)))
+  }
+
+  /* Gain in dB of a first-order low-pass filter at ratio times its cutoff. */
+  function lowPassGain (ratio) {
+    return -10 * Math.log(1 + ratio * ratio) / Math.LN10
+  }
+
+  function capacitiveReactance (f, C) {
+    return 1 / (2 * Math.PI * f * C)
+  }
+
+  function inductiveReactance (f, L) {
+    return 2 * Math.PI * f * L
+  }
+
+  function resonantFrequency (L, C) {
+    return 1 / (2 * Math.PI * Math.sqrt(L * C))
+  }
+
+  /* Complex impedances of capacitors and inductors, as JXG.Complex numbers. */
+  function capacitorImpedance (f, C) {
+    return new JXG.Complex(0, -capacitiveReactance(f, C))
+  }
+
+  function inductorImpedance (f, L) {
+    return new JXG.Complex(0, inductiveReactance(f, L))
+  }
+
+  /* Combine complex impedances in series or in parallel. */
+  function seriesImpedance (impedances) {
+    return impedances.reduce(JXG.C.add, new JXG.Complex(0, 0))
+  }
+
+  function parallelImpedance (impedances) {
+    var one = new JXG.Complex(1, 0)
+    return JXG.C.div(one, impedances.reduce(function (admittance, Z) {
+      return JXG.C.add(admittance, JXG.C.div(one, Z))
+    }, new JXG.Complex(0, 0)))
+  }
+
+  /* Solve the complex linear system A x = b by Gaussian elimination with
+     partial pivoting, throwing an Error if A is singular. A and b are arrays
+     of JXG.Complex numbers, and are overwritten. */
+  function solveComplexSystem (A, b) {
+    var n = b.length
+    var i, j, k
+
+    for (k = 0; k < n; k++) {
+      var pivot = k
+      for (i = k + 1; i < n; i++) {
+        if (JXG.C.abs(A[i][k]) > JXG.C.abs(A[pivot][k])) {
+          pivot = i
+        }
+      }
+      if (JXG.C.abs(A[pivot][k]) < 1e-15) {
+        throw new Error('circuit has no unique solution; check that every ' +
+          'node has a path to ground and no loop is made only of voltage sources')
+      }
+
+      var row = A[k]
+      A[k] = A[pivot]
+      A[pivot] = row
+      var value = b[k]
+      b[k] = b[pivot]
+      b[pivot] = value
+
+      for (i = k + 1; i < n; i++) {
+        var factor = JXG.C.div(A[i][k], A[k][k])
+        for (j = k; j < n; j++) {
+          A[i][j] = JXG.C.sub(A[i][j], JXG.C.mult(factor, A[k][j]))
+        }
+        b[i] = JXG.C.sub(b[i], JXG.C.mult(factor, b[k]))
+      }
+    }
+
+    var x = []
+    for (i = n - 1; i >= 0; i--) {
+      var sum = b[i]
+      for (j = i + 1; j < n; j++) {
+        sum = JXG.C.sub(sum, JXG.C.mult(A[i][j], x[j]))
+      }
+      x[i] = JXG.C.div(sum, A[i][i])
+    }
+    return x
+  }
+
+  /* Reflection coefficient of impedance Z against reference impedance Z0. */
+  function reflectionCoefficient (Z, Z0) {
+    var z = JXG.C.div(Z, new JXG.Complex(Z0, 0))
+    var one = new JXG.Complex(1, 0)
+    return JXG.C.div(JXG.C.sub(z, one), JXG.C.add(z, one))
+  }
+
+  /* Parse a capacitor network written as nested groups such as
+     'series(1, parallel(0.5, 0.5))', with capacitances in Farads. Returns a
+     tree of { type: 'series' | 'parallel', parts: [...] } groups with numbers
+     at the leaves, or throws an Error describing the first problem found. */
+  function parseCapacitorNetwork (text) {
+    var tokens = text.match(/series|parallel|[0-9.]+(?:e-?[0-9]+)?|\S/g) || []
+    var number = /^(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e-?[0-9]+)?$/
+    var position = 0
+
+    function expect (token) {
+      if (tokens[position] !== token) {
+        throw new Error('expected "' + token + '" but found ' +
+          (position < tokens.length ? '"' + tokens[position] + '"' : 'the end'))
+      }
+      position++
+    }
+
+    function parseNetwork () {
+      var token = tokens[position]
+
+      if (token === 'series' || token === 'parallel') {
+        position++
+        expect('(')
+        var parts = [parseNetwork()]
+        while (tokens[position] === ',') {
+          position++
+          parts.push(parseNetwork())
+        }
+        expect(')')
+        return { type: token, parts: parts }
+      }
+
+      if (/^[0-9.]/.test(token) && !number.test(token)) {
+        throw new Error('"' + token + '" is not a number')
+      }
+      var value = parseFloat(token)
+      if (!(value > 0)) {
+        throw new Error('expected a capacitance but found ' +
+          (token === undefined ? 'the end' : '"' + token + '"'))
+      }
+      position++
+      return value
+    }
+
+    var network = parseNetwork()
+    if (position < tokens.length) {
+      throw new Error('unexpected "' + tokens[position] + '"')
+    }
+    return network
+  }
+
+  /* Capacitances add in parallel, and their reciprocals add in series. */
+  function equivalentCapacitance (network) {
+    if (typeof network === 'number') {
+      return network
+    }
+
+    var values = network.parts.map(equivalentCapacitance)
+    if (network.type === 'parallel') {
+      return values.reduce(function (sum, C) { return sum + C }, 0)
+    }
+    return 1 / values.reduce(function (sum, C) { return sum + 1 / C }, 0)
+  }
+
+  /* List the individual capacitances in a network. */
+  function networkCapacitors (network) {
+    if (typeof network === 'number') {
+      return [network]
+    }
+    return [].concat.apply([], network.parts.map(networkCapacitors))
+  }
+
+  /* Solve an AC circuit at frequency f in Hz by modified nodal analysis. The
+     circuit is a list of elements, each { type, nodes, value } with type one
+     of 'R', 'L', 'C' (Ohms, Henries, Farads), 'V' or 'I' (AC magnitude in
+     Volts or Amps, with an optional phase in degrees), and nodes a pair of
+     node numbers where node 0 is ground. Elements may also carry a name.
+     An 'E' element is a voltage-controlled voltage source, such as an op-amp,
+     which also has control, the pair of nodes whose voltage difference it
+     amplifies by value, and may have gbw, a gain-bandwidth product in Hz,
+     giving a single pole roll-off. A 'K' element is a transformer, a pair of
+     coupled inductors with primary inductance value across nodes and the
+     secondary across secondary, with ratio secondary turns per primary turn
+     and coupling coefficient coupling. Its optional capacitance is the
+     interwinding capacitance, from the first primary node to the first
+     secondary node. The current given for it is the primary current.
+     Following SPICE, a source's current flows from its first node through it
+     to its second, so a voltage source delivering power has a negative
+     current. Returns the voltage of each node and the current through each
+     element from its first node to its second, as JXG.Complex numbers. */
+  ns.solveCircuit = function (elements, f) {
+    var omega = 2 * Math.PI * f
+    var nodeCount = 0
+    // Elements whose currents are unknowns, once for each winding
+    var branches = []
+
+    elements.forEach(function (element) {
+      nodeCount = Math.max.apply(null, [nodeCount].concat(element.nodes,
+        element.control || [], element.secondary || []))
+      if (element.type === 'V' || element.type === 'E') {
+        branches.push(element)
+      } else if (element.type === 'K') {
+        branches.push(element, element)
+      }
+    })
+
+    var size = nodeCount + branches.length
+    var A = []
+    var b = []
+    for (var i = 0; i < size; i++) {
+      A.push([])
+      b.push(new JXG.Complex(0, 0))
+      for (var j = 0; j < size; j++) {
+        A[i].push(new JXG.Complex(0, 0))
+      }
+    }
+
+    /* Node n is unknown n - 1, since ground is not an unknown. */
+    function add (row, column, value) {
+      if (row > 0 && column > 0) {
+        A[row - 1][column - 1] = JXG.C.add(A[row - 1][column - 1], value)
+      }
+    }
+
+    function phasor (element) {
+      var phase = (element.phase || 0) * Math.PI / 180
+      return new JXG.Complex(element.value * Math.cos(phase), element.value * Math.sin(phase))
+    }
+
+    function gain (element) {
+      if (!element.gbw) {
+        return new JXG.Complex(element.value, 0)
+      }
+      return JXG.C.div(element.value, new JXG.Complex(1, f * element.value / element.gbw))
+    }
+
+    function admittance (element) {
+      switch (element.type) {
+        case 'R': return new JXG.Complex(1 / element.value, 0)
+        case 'L': return new JXG.Complex(0, -1 / (omega * element.value))
+        case 'C': return new JXG.Complex(0, omega * element.value)
+      }
+      throw new Error('unknown element type "' + element.type + '"')
+    }
+
+    elements.forEach(function (element) {
+      var p = element.nodes[0]
+      var n = element.nodes[1]
+
+      var row = nodeCount + branches.indexOf(element) + 1
+
+      if (element.type === 'V' || element.type === 'E') {
+        add(p, row, new JXG.Complex(1, 0))
+        add(n, row, new JXG.Complex(-1, 0))
+        add(row, p, new JXG.Complex(1, 0))
+        add(row, n, new JXG.Complex(-1, 0))
+        if (element.type === 'V') {
+          b[row - 1] = phasor(element)
+        } else {
+          var amplification = gain(element)
+          add(row, element.control[0], JXG.C.mult(amplification, new JXG.Complex(-1, 0)))
+          add(row, element.control[1], amplification)
+        }
+      } else if (element.type === 'K') {
+        // V1 = jw L1 I1 + jw M I2 and V2 = jw M I1 + jw L2 I2
+        var L1 = element.value
+        var L2 = L1 * element.ratio * element.ratio
+        var M = element.coupling * Math.sqrt(L1 * L2)
+        var windings = [[p, n], element.secondary]
+        var inductances = [[L1, M], [M, L2]]
+
+        windings.forEach(function (nodes, w) {
+          add(nodes[0], row + w, new JXG.Complex(1, 0))
+          add(nodes[1], row + w, new JXG.Complex(-1, 0))
+          add(row + w, nodes[0], new JXG.Complex(1, 0))
+          add(row + w, nodes[1], new JXG.Complex(-1, 0))
+          add(row + w, row, new JXG.Complex(0, -omega * inductances[w][0]))
+          add(row + w, row + 1, new JXG.Complex(0, -omega * inductances[w][1]))
+        })
+
+        if (element.capacitance) {
+          var q = element.secondary[0]
+          var interwinding = new JXG.Complex(0, omega * element.capacitance)
+          add(p, p, interwinding)
+          add(q, q, interwinding)
+          add(p, q, JXG.C.mult(interwinding, new JXG.Complex(-1, 0)))
+          add(q, p, JXG.C.mult(interwinding, new JXG.Complex(-1, 0)))
+        }
+      } else if (element.type === 'I') {
+        if (p > 0) {
+          b[p - 1] = JXG.C.sub(b[p - 1], phasor(element))
+        }
+        if (n > 0) {
+          b[n - 1] = JXG.C.add(b[n - 1], phasor(element))
+        }
+      } else {
+        var Y = admittance(element)
+        var negative = JXG.C.mult(Y, new JXG.Complex(-1, 0))
+        add(p, p, Y)
+        add(n, n, Y)
+        add(p, n, negative)
+        add(n, p, negative)
+      }
+    })
+
+    var x = solveComplexSystem(A, b)
+    var voltages = [new JXG.Complex(0, 0)].concat(x.slice(0, nodeCount))
+
+    var currents = elements.map(function (element) {
+      if (element.type === 'V' || element.type === 'E' || element.type === 'K') {
+        return x[nodeCount + branches.indexOf(element)]
+      }
+      if (element.type === 'I') {
+        return phasor(element)
+      }
+      var V = JXG.C.sub(voltages[element.nodes[0]], voltages[element.nodes[1]])
+      return JXG.C.mult(V, admittance(element))
+    })
+
+    return { voltages: voltages, currents: currents }
+  }
+
+  /* Plot capacitive reactance against capacitance, with a point that can be
+     dragged along the curve to pick the capacitance. Returns the board and
+     accessors for the frequency and picked capacitance, so other boards can
+     follow the plot. */
+  ns.drawReactanceVsCapacitance = function (graphElemID) {
+    var board = initBoard(graphElemID)
+
+    var frequency = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
+      { name: 'frequency in Hz' })
+
+    var graph = board.create('functiongraph', [
+      function (C) {
+        if (C > 0) {
+          return capacitiveReactance(frequency.Value(), C)
+        }
+      }
+    ])
+
+    var point = board.create('glider', [0.1, capacitiveReactance(1, 0.1), graph],
+      { name: 'C' })
+
+    createAxes(board, 'C', 'X_C')
+
+    return {
+      board: board,
+      frequency: function () { return frequency.Value() },
+      capacitance: function () { return point.X() }
+    }
+  }
+
+  ns.drawReactanceVsInductance = function (graphElemID) {
+    var board = initBoard(graphElemID)
+
+    var frequency = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
+      { name: 'frequency in Hz' })
+
+    board.create('functiongraph', [
+      function (L) {
+        if (L >= 0) {
+          return inductiveReactance(frequency.Value(), L)
+        }
+      }
+    ])
+
+    createAxes(board, 'L', 'X_L')
+  }
+
+  /* Draw a power triangle from origin, with real and reactive returning the
+     plotted lengths of its sides. The sides are labelled with the given names,
+     skipping any which are null. */
+  function createPowerTriangle (board, origin, real, reactive, color, names) {
+    var corner = board.create('point', [
+      function () { return origin[0] + real() }, origin[1]
+    ], { visible: false })
+    var apex = board.create('point', [
+      function () { return origin[0] + real() },
+      function () { return origin[1] + reactive() }
+    ], { visible: false })
+
+    board.create('polygon', [
+      board.create('point', origin, { visible: false, fixed: true }), corner, apex
+    ], {
+      fillColor: color,
+      highlightFillColor: color,
+      borders: { strokeWidth: 3 }
+    })
+
+    var labels = [
+      [function () { return origin[0] + real() / 2 }, origin[1] - 0.5],
+      [function () { return corner.X() + 0.3 },
+        function () { return origin[1] + reactive() / 2 }],
+      [function () { return origin[0] + real() / 2 - 0.5 },
+        function () { return origin[1] + reactive() / 2 + (reactive() < 0 ? -0.5 : 0.5) }]
+    ]
+
+    names.forEach(function (name, i) {
+      if (name !== null) {
+        board.create('text', labels[i].concat([name]))
+      }
+    })
+  }
+
+  /* Plot the reactance of a capacitor whose capacitance is returned by the
+     given function against frequency. */
+  function plotReactanceVsFrequency (board, capacitance) {
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return capacitiveReactance(f, capacitance())
+        }
+      }
+    ])
+
+    createAxes(board, 'f', 'X_C')
+  }
+
+  /* Plot reactance against frequency, for a capacitor by default or an
+     inductor when component is 'inductor'. Returns the board and an accessor
+     for the slider's capacitance or inductance, and for a capacitor a setter
+     which moves the slider. */
+  ns.drawReactanceVsFrequency = function (graphElemID, component) {
+    var board = initBoard(graphElemID)
+
+    if (component === 'inductor') {
+      var inductance = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
+        { name: 'inductance in Henries' })
+
+      board.create('functiongraph', [
+        function (f) {
+          if (f >= 0) {
+            return inductiveReactance(f, inductance.Value())
+          }
+        }
+      ])
+
+      createAxes(board, 'f', 'X_L')
+
+      return {
+        board: board,
+        inductance: function () { return inductance.Value() }
+      }
+    }
+
+    var capacitance = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
+      { name: 'capacitance in Farads' })
+
+    plotReactanceVsFrequency(board, function () { return capacitance.Value() })
+
+    /* setCapacitance is limited to the slider's range, and returns the
+       capacitance actually set. */
+    return {
+      board: board,
+      capacitance: function () { return capacitance.Value() },
+      setCapacitance: function (C) {
+        capacitance.setValue(C)
+        board.update()
+        return capacitance.Value()
+      }
+    }
+  }
+
+  /* Plot the impedance magnitude of a series RC circuit against frequency,
+     with the phase angle of the impedance on a second, linked board. */
+  ns.drawImpedanceVsFrequency = function (graphElemID, phaseElemID) {
+    var board = initBoard(graphElemID)
+    var phaseBoard = initBoard(phaseElemID, [-0.5, 10, 10, -100])
+    board.addChild(phaseBoard)
+
+    var capacitance = board.create('slider', [[3, 1], [6, 1], [0.01, 1, 5]],
+      { name: 'capacitance in Farads' })
+    var resistance = board.create('slider', [[3, 2], [6, 2], [0, 1, 5]],
+      { name: 'resistance in Ohms' })
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return capacitiveReactance(f, capacitance.Value())
+        }
+      }
+    ], { dash: 2 })
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          var X = capacitiveReactance(f, capacitance.Value())
+          var R = resistance.Value()
+          return Math.sqrt(R * R + X * X)
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    createAxes(board, 'f', '|Z|')
+
+    phaseBoard.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          var X = capacitiveReactance(f, capacitance.Value())
+          return -Math.atan2(X, resistance.Value()) * 180 / Math.PI
+        }
       }
+    ], { strokeWidth: 3 })
+
+    createAxes(phaseBoard, 'f', 'phase in degrees')
+  }
+
+  /* Plot X_L, X_C and the net reactance of a series RLC circuit against
+     frequency, marking the resonant frequency and shading the half-power
+     bandwidth between the two frequencies where |X_L - X_C| = R. */
+  ns.drawSeriesResonance = function (graphElemID) {
+    var board = initBoard(graphElemID, [-0.5, 10, 10, -5])
+
+    var resistance = board.create('slider', [[5, -2], [8, -2], [0.01, 0.5, 5]],
+      { name: 'resistance in Ohms' })
+    var inductance = board.create('slider', [[5, -3], [8, -3], [0.01, 0.1, 1]],
+      { name: 'inductance in Henries' })
+    var capacitance = board.create('slider', [[5, -4], [8, -4], [0.01, 0.1, 1]],
+      { name: 'capacitance in Farads' })
+
+    function f0 () {
+      return resonantFrequency(inductance.Value(), capacitance.Value())
+    }
+
+    /* Half-power frequency below (sign = -1) or above (sign = 1) resonance. */
+    function halfPowerFrequency (sign) {
+      var alpha = resistance.Value() / (2 * inductance.Value())
+      var omega0 = 2 * Math.PI * f0()
+      return (sign * alpha + Math.sqrt(alpha * alpha + omega0 * omega0)) /
+        (2 * Math.PI)
+    }
+
+    board.create('polygon', [
+      [function () { return halfPowerFrequency(-1) }, -5],
+      [function () { return halfPowerFrequency(1) }, -5],
+      [function () { return halfPowerFrequency(1) }, 10],
+      [function () { return halfPowerFrequency(-1) }, 10]
+    ], {
+      withLines: false,
+      fillColor: 'yellow',
+      highlightFillColor: 'yellow',
+      vertices: { visible: false }
     })
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f >= 0) {
+          return inductiveReactance(f, inductance.Value())
+        }
+      }
+    ], { strokeColor: 'blue', dash: 2 })
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return capacitiveReactance(f, capacitance.Value())
+        }
+      }
+    ], { strokeColor: 'red', dash: 2 })
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return inductiveReactance(f, inductance.Value()) -
+            capacitiveReactance(f, capacitance.Value())
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    board.create('point', [
+      f0,
+      function () { return inductiveReactance(f0(), inductance.Value()) }
+    ], { name: 'f_0', fixed: true })
+
+    board.create('text', [0.5, 9, function () {
+      var Q = Math.sqrt(inductance.Value() / capacitance.Value()) /
+        resistance.Value()
+      return 'f_0 = ' + f0().toFixed(2) + ' Hz, Q = ' + Q.toFixed(2) +
+        ', bandwidth = ' + (halfPowerFrequency(1) - halfPowerFrequency(-1)).toFixed(2) + ' Hz'
+    }])
+
+    createAxes(board, 'f', 'X')
+  }
+
+  /* Plot the impedance magnitude of a parallel RLC circuit against frequency,
+     with the resistive, inductive, capacitive and total source currents drawn
+     by a 1 V source on a second, linked board. */
+  ns.drawParallelResonance = function (graphElemID, currentElemID) {
+    var board = initBoard(graphElemID, [-0.5, 10, 10, -5])
+    var currentBoard = initBoard(currentElemID)
+    board.addChild(currentBoard)
+
+    var resistance = board.create('slider', [[5, -2], [8, -2], [0.5, 5, 9]],
+      { name: 'resistance in Ohms' })
+    var inductance = board.create('slider', [[5, -3], [8, -3], [0.01, 0.1, 1]],
+      { name: 'inductance in Henries' })
+    var capacitance = board.create('slider', [[5, -4], [8, -4], [0.01, 0.1, 1]],
+      { name: 'capacitance in Farads' })
+
+    /* Net susceptance of the capacitor and inductor branches. */
+    function susceptance (f) {
+      return 1 / capacitiveReactance(f, capacitance.Value()) -
+        1 / inductiveReactance(f, inductance.Value())
+    }
+
+    function impedance (f) {
+      var G = 1 / resistance.Value()
+      var B = susceptance(f)
+      return 1 / Math.sqrt(G * G + B * B)
+    }
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return impedance(f)
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    board.create('point', [
+      function () {
+        return resonantFrequency(inductance.Value(), capacitance.Value())
+      },
+      function () { return resistance.Value() }
+    ], { name: 'f_0', fixed: true })
+
+    createAxes(board, 'f', '|Z|')
+
+    currentBoard.create('functiongraph', [
+      function () { return 1 / resistance.Value() }
+    ], { strokeColor: 'green', dash: 2 })
+
+    currentBoard.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return 1 / inductiveReactance(f, inductance.Value())
+        }
+      }
+    ], { strokeColor: 'blue', dash: 2 })
+
+    currentBoard.create('functiongraph', [
+      function (f) {
+        if (f >= 0) {
+          return 1 / capacitiveReactance(f, capacitance.Value())
+        }
+      }
+    ], { strokeColor: 'red', dash: 2 })
+
+    currentBoard.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return 1 / impedance(f)
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    createAxes(currentBoard, 'f', 'I')
+  }
+
+  /* Draw Bode plots of the gain in dB and phase in degrees of a first-order
+     RC filter against log frequency, switching between the low-pass and
+     high-pass topologies with a checkbox. */
+  ns.drawBodePlot = function (gainElemID, phaseElemID) {
+    var board = initBoard(gainElemID, [-2.5, 10, 3, -60])
+    var phaseBoard = initBoard(phaseElemID, [-2.5, 100, 3, -100])
+    board.addChild(phaseBoard)
+
+    var resistance = board.create('slider', [[0.5, -45], [2.5, -45], [0.1, 1, 10]],
+      { name: 'resistance in Ohms' })
+    var capacitance = board.create('slider', [[0.5, -50], [2.5, -50], [0.01, 0.1, 1]],
+      { name: 'capacitance in Farads' })
+    var highPass = board.create('checkbox', [0.5, -38, 'high-pass filter'])
+
+    function cutoffFrequency () {
+      return 1 / (2 * Math.PI * resistance.Value() * capacitance.Value())
+    }
+
+    /* Gain and phase are functions of x = log10(f). The ratio f / f_c equals
+       R / X_C, which sets both. */
+    function gain (x) {
+      var ratio = Math.pow(10, x) / cutoffFrequency()
+      var dB = lowPassGain(ratio)
+      if (highPass.Value()) {
+        dB += 20 * Math.log(ratio) / Math.LN10
+      }
+      return dB
+    }
+
+    function phase (x) {
+      var degrees = -Math.atan(Math.pow(10, x) / cutoffFrequency()) * 180 / Math.PI
+      if (highPass.Value()) {
+        degrees += 90
+      }
+      return degrees
+    }
+
+    function logCutoff () {
+      return Math.log(cutoffFrequency()) / Math.LN10
+    }
+
+    board.create('functiongraph', [gain], { strokeWidth: 3 })
+
+    board.create('segment', [[logCutoff, 0], [logCutoff, -60]],
+      { dash: 2, strokeColor: 'gray', point1: { visible: false }, point2: { visible: false } })
+
+    board.create('point', [logCutoff, function () { return gain(logCutoff()) }],
+      { name: '-3 dB', fixed: true })
+
+    board.create('text', [0.5, -32, function () {
+      return 'cutoff frequency = ' + cutoffFrequency().toFixed(2) + ' Hz'
+    }])
+
+    createLogFrequencyAxes(board, 'gain in dB', -2)
+
+    phaseBoard.create('functiongraph', [phase], { strokeWidth: 3 })
+
+    phaseBoard.create('segment', [[logCutoff, 100], [logCutoff, -100]],
+      { dash: 2, strokeColor: 'gray', point1: { visible: false }, point2: { visible: false } })
+
+    createLogFrequencyAxes(phaseBoard, 'phase in degrees', -2)
+  }
+
+  /* Animate the current and voltage phasors of a capacitor carrying a 1 A
+     current, rotating at the frequency of the given plot. The voltage phasor
+     has length X_C and lags the current by 90 degrees. */
+  ns.drawPhasors = function (phasorElemID, plot) {
+    var board = initBoard(phasorElemID, [-10, 10, 10, -10])
+    plot.board.addChild(board)
+
+    var angle = 0
+    var lastTime = Date.now()
+
+    function reactance () {
+      return capacitiveReactance(plot.frequency(), plot.capacitance())
+    }
+
+    var current = board.create('point', [
+      function () { return Math.cos(angle) },
+      function () { return Math.sin(angle) }
+    ], { name: 'I', fixed: true, size: 1 })
+
+    var voltage = board.create('point', [
+      function () { return reactance() * Math.cos(angle - Math.PI / 2) },
+      function () { return reactance() * Math.sin(angle - Math.PI / 2) }
+    ], { name: 'V', fixed: true, size: 1 })
+
+    board.create('arrow', [[0, 0], current], { strokeColor: 'red', strokeWidth: 3 })
+    board.create('arrow', [[0, 0], voltage], { strokeColor: 'blue', strokeWidth: 3 })
+
+    board.create('circle', [[0, 0], reactance],
+      { strokeColor: 'gray', dash: 2, center: { visible: false } })
+
+    createAxes(board, 'Re', 'Im')
+
+    /* Advance the phase by the time elapsed at the current frequency, so the
+       rotation speeds up smoothly as the slider moves. */
+    function animate () {
+      var now = Date.now()
+      angle = (angle + 2 * Math.PI * plot.frequency() * (now - lastTime) / 1000) %
+        (2 * Math.PI)
+      lastTime = now
+      board.update()
+      window.requestAnimationFrame(animate)
+    }
+
+    window.requestAnimationFrame(animate)
+  }
+
+  /* Plot the voltage across and current through a capacitor driven by a 1 V
+     sine wave, taking the frequency from one plot and the capacitance from
+     another. Dashed markers at neighbouring peaks show the current leading the
+     voltage by a quarter period. */
+  ns.drawWaveforms = function (graphElemID, frequencySource, capacitanceSource) {
+    var board = initBoard(graphElemID, [-0.5, 8, 10, -8])
+    frequencySource.board.addChild(board)
+    capacitanceSource.board.addChild(board)
+
+    function period () {
+      return 1 / frequencySource.frequency()
+    }
+
+    function currentAmplitude () {
+      return 1 / capacitiveReactance(frequencySource.frequency(),
+        capacitanceSource.capacitance())
+    }
+
+    board.create('functiongraph', [
+      function (t) {
+        return Math.sin(2 * Math.PI * t / period())
+      }
+    ], { strokeColor: 'blue', strokeWidth: 3 })
+
+    board.create('functiongraph', [
+      function (t) {
+        return currentAmplitude() * Math.cos(2 * Math.PI * t / period())
+      }
+    ], { strokeColor: 'red', strokeWidth: 3 })
+
+    board.create('segment', [[period, -8], [period, 8]],
+      { strokeColor: 'red', dash: 2, point1: { visible: false }, point2: { visible: false } })
+
+    board.create('segment', [
+      [function () { return 1.25 * period() }, -8],
+      [function () { return 1.25 * period() }, 8]
+    ], { strokeColor: 'blue', dash: 2, point1: { visible: false }, point2: { visible: false } })
+
+    board.create('text', [0.5, 7, function () {
+      return 'current leads by 90 degrees, ' + (0.25 * period()).toFixed(2) + ' s'
+    }])
+
+    createAxes(board, 't', 'v, i')
+  }
+
+  /* Plot the impedance of a real capacitor, modelled as an ideal capacitor in
+     series with its equivalent series resistance (ESR) and inductance (ESL),
+     against frequency on log axes. The ideal X_C is overlaid for comparison,
+     and the impedance dips to the ESR at the self-resonant frequency. */
+  ns.drawRealCapacitor = function (graphElemID) {
+    var board = initBoard(graphElemID, [2, 4, 9.5, -5.5])
+
+    var capacitance = board.create('slider', [[5.5, -4], [8, -4], [0.01, 1, 100]],
+      { name: 'capacitance in \u00b5F' })
+    var esl = board.create('slider', [[5.5, -4.6], [8, -4.6], [0.1, 1, 10]],
+      { name: 'ESL in nH' })
+    var esr = board.create('slider', [[5.5, -5.2], [8, -5.2], [1, 10, 1000]],
+      { name: 'ESR in m\u03a9' })
+
+    function C () { return capacitance.Value() * 1e-6 }
+    function L () { return esl.Value() * 1e-9 }
+    function R () { return esr.Value() * 1e-3 }
+
+    /* Curves are functions of x = log10(f), returning log10 of the impedance. */
+    board.create('functiongraph', [
+      function (x) {
+        return Math.log10(capacitiveReactance(Math.pow(10, x), C()))
+      }
+    ], { strokeColor: 'red', dash: 2 })
+
+    board.create('functiongraph', [
+      function (x) {
+        var f = Math.pow(10, x)
+        var X = inductiveReactance(f, L()) - capacitiveReactance(f, C())
+        return Math.log10(Math.sqrt(R() * R() + X * X))
+      }
+    ], { strokeWidth: 3 })
+
+    board.create('point', [
+      function () { return Math.log10(resonantFrequency(L(), C())) },
+      function () { return Math.log10(R()) }
+    ], { name: 'SRF', fixed: true })
+
+    board.create('text', [2.5, 3.5, function () {
+      return 'self-resonant frequency = ' + formatSI(resonantFrequency(L(), C())) + 'Hz'
+    }])
+
+    createLogAxes(board, 'f', '|Z|', [3, -3], true)
+  }
+
+  /* Simulate a capacitor charged through a resistor by a 5 V source, plotting
+     the capacitor voltage and the current against time. The circuit equation
+     dv/dt = (v_s(t) - v) / RC is integrated numerically, so buttons can switch
+     the source between a step that switches off halfway, a ramp and a train of
+     pulses. The time constant is marked where a step has charged the capacitor
+     to 63% and discharged it to 37%. */
+  ns.drawTransient = function (graphElemID) {
+    var board = initBoard(graphElemID, [-0.5, 8, 10.5, -6])
+
+    var amplitude = 5
+    var switchOffTime = 5
+    var sources = {
+      step: function (t) {
+        return t < switchOffTime ? amplitude : 0
+      },
+      ramp: function (t) {
+        return t < switchOffTime ? amplitude * t / switchOffTime : 0
+      },
+      pulses: function (t) {
+        return t % 2 < 1 ? amplitude : 0
+      }
+    }
+    var source = sources.step
+
+    var resistance = board.create('slider', [[6, -4], [9, -4], [0.1, 1, 5]],
+      { name: 'resistance in Ohms' })
+    var capacitance = board.create('slider', [[6, -5], [9, -5], [0.1, 1, 2]],
+      { name: 'capacitance in Farads' })
+
+    Object.keys(sources).forEach(function (name, i) {
+      board.create('button', [0.5 + 1.5 * i, 7.5, name, function () {
+        source = sources[name]
+        board.update()
+      }])
+    })
+
+    function tau () {
+      return resistance.Value() * capacitance.Value()
+    }
+
+    var voltage = board.create('curve', [[0], [0]], { strokeColor: 'blue', strokeWidth: 3 })
+    var current = board.create('curve', [[0], [0]], { strokeColor: 'red', strokeWidth: 3 })
+    var steps = 1000
+    var T = 10
+    var solution = []
+
+    voltage.updateDataArray = function () {
+      solution = JXG.Math.Numerics.rungeKutta('rk4', [0], [0, T], steps,
+        function (t, v) {
+          return [(source(t) - v[0]) / tau()]
+        })
+
+      this.dataX = []
+      this.dataY = []
+      current.dataX = []
+      current.dataY = []
+
+      for (var i = 0; i < solution.length; i++) {
+        var t = i * T / steps
+        this.dataX.push(t)
+        this.dataY.push(solution[i][0])
+        current.dataX.push(t)
+        current.dataY.push((source(t) - solution[i][0]) / resistance.Value())
+      }
+    }
+
+    /* The current's data is filled in by the voltage curve. */
+    current.updateDataArray = function () {}
+
+    board.create('functiongraph', [
+      function (t) { return source(t) }, 0, 10
+    ], { strokeColor: 'gray', dash: 2 })
+
+    /* Capacitor voltage at time t, interpolated from the solution, which is
+       empty until the voltage curve is first updated. Its last sample is one
+       step short of T, so the final interval is extended to reach T. */
+    function voltageAt (t) {
+      if (solution.length < 2) {
+        return NaN
+      }
+      var i = Math.min(Math.floor(t * steps / T), solution.length - 2)
+      var fraction = t * steps / T - i
+      return solution[i][0] * (1 - fraction) + solution[i + 1][0] * fraction
+    }
+
+    /* The markers only mean something for a step, and are hidden (at NaN)
+       when the capacitor is still charging at switch-off or the discharge
+       runs off the graph. */
+    function chargeMarker () {
+      return source === sources.step && tau() < switchOffTime ? tau() : NaN
+    }
+
+    function dischargeMarker () {
+      return source === sources.step && switchOffTime + tau() < T ? switchOffTime + tau() : NaN
+    }
+
+    board.create('point', [
+      chargeMarker,
+      function () { return isNaN(chargeMarker()) ? NaN : voltageAt(chargeMarker()) }
+    ], { name: '63%', fixed: true })
+
+    board.create('point', [
+      dischargeMarker,
+      function () { return isNaN(dischargeMarker()) ? NaN : voltageAt(dischargeMarker()) }
+    ], { name: '37%', fixed: true })
+
+    board.create('text', [0.5, 6.5, function () {
+      return '\u03c4 = RC = ' + tau().toFixed(2) + ' s'
+    }])
+
+    createAxes(board, 't', 'v_C, i')
+  }
+
+  /* Edit a network of capacitors in series and parallel groups, plotting the
+     reactance of each capacitor against frequency along with that of the whole
+     network. The equivalent capacitance is fed into frequencyPlot. */
+  ns.drawCapacitorNetwork = function (graphElemID, frequencyPlot) {
+    var board = initBoard(graphElemID)
+
+    var editor = board.create('input', [0.5, 9.5, 'series(0.1, parallel(0.05, 0.05))',
+      'network '])
+    var network = parseCapacitorNetwork(editor.Value())
+    var lastText = editor.Value()
+    var error = ''
+    var clamped = ''
+
+    /* Pass the equivalent capacitance to frequencyPlot, noting when it is
+       outside the range that plot can show. */
+    function updateFrequencyPlot () {
+      var C = equivalentCapacitance(network)
+      var shown = frequencyPlot.setCapacitance(C)
+      clamped = Math.abs(shown - C) > 1e-9 * C
+        ? ', shown above as ' + formatSI(shown) + 'F, the nearest the slider reaches' : ''
+    }
+
+    /* Reparse the network whenever the text in the editor has changed. */
+    function currentNetwork () {
+      if (editor.Value() !== lastText) {
+        lastText = editor.Value()
+
+        try {
+          network = parseCapacitorNetwork(lastText)
+          error = ''
+          updateFrequencyPlot()
+        } catch (e) {
+          error = e.message
+        }
+      }
+      return network
+    }
+
+    /* All the individual curves are drawn as one, broken between capacitors. */
+    var capacitors = board.create('curve', [[0], [0]], { strokeColor: 'gray', dash: 2 })
+    capacitors.updateDataArray = function () {
+      var dataX = []
+      var dataY = []
+
+      networkCapacitors(currentNetwork()).forEach(function (C) {
+        for (var f = 0.05; f <= 10; f += 0.05) {
+          dataX.push(f)
+          dataY.push(capacitiveReactance(f, C))
+        }
+        dataX.push(NaN)
+        dataY.push(NaN)
+      })
+
+      this.dataX = dataX
+      this.dataY = dataY
+    }
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return capacitiveReactance(f, equivalentCapacitance(currentNetwork()))
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    board.create('text', [0.5, 8.5, function () {
+      var C = equivalentCapacitance(currentNetwork())
+      return error || 'equivalent capacitance = ' + formatSI(C) + 'F' + clamped
+    }])
+
+    createAxes(board, 'f', 'X_C')
+
+    updateFrequencyPlot()
+  }
+
+  /* Draw a parallel-plate capacitor to scale, whose top plate can be dragged
+     to change the separation, with sliders for the plate area and the relative
+     permittivity of the dielectric. The capacitance C = e_0 e_r A / d sets the
+     reactance plotted against frequency on the second board. Since the plates
+     give capacitances of picofarads, up to about 2 nF, frequency is in GHz so
+     that X_C is still in Ohms. */
+  ns.drawParallelPlates = function (plateElemID, graphElemID) {
+    var plateBoard = initBoard(plateElemID, [-60, 35, 60, -25])
+    var board = initBoard(graphElemID)
+    plateBoard.addChild(board)
+
+    var area = plateBoard.create('slider', [[-20, -12], [20, -12], [1, 100, 100]],
+      { name: 'area in cm\u00b2' })
+    var permittivity = plateBoard.create('slider', [[-20, -20], [20, -20], [1, 1, 10]],
+      { name: 'relative permittivity' })
+
+    var track = plateBoard.create('segment', [[55, 0.5], [55, 20]], { visible: false })
+    var handle = plateBoard.create('glider', [55, 2, track], { name: 'd' })
+
+    /* Side length of the square plates in mm. */
+    function side () {
+      return Math.sqrt(area.Value()) * 10
+    }
+
+    function capacitance () {
+      var epsilon0 = 8.854e-12
+      var C = epsilon0 * permittivity.Value() * area.Value() * 1e-4 /
+        (handle.Y() * 1e-3)
+      return C * 1e9
+    }
+
+    plateBoard.create('polygon', [
+      [function () { return -side() / 2 }, 0],
+      [function () { return side() / 2 }, 0],
+      [function () { return side() / 2 }, function () { return handle.Y() }],
+      [function () { return -side() / 2 }, function () { return handle.Y() }]
+    ], {
+      withLines: false,
+      fillColor: 'orange',
+      highlightFillColor: 'orange',
+      fillOpacity: function () { return 0.05 * permittivity.Value() },
+      vertices: { visible: false }
+    })
+
+    plateBoard.create('segment', [
+      [function () { return -side() / 2 }, 0],
+      [function () { return side() / 2 }, 0]
+    ], { strokeWidth: 4, strokeColor: 'black', point1: { visible: false }, point2: { visible: false } })
+
+    plateBoard.create('segment', [
+      [function () { return -side() / 2 }, function () { return handle.Y() }],
+      [function () { return side() / 2 }, function () { return handle.Y() }]
+    ], { strokeWidth: 4, strokeColor: 'black', point1: { visible: false }, point2: { visible: false } })
+
+    plateBoard.create('text', [-55, 30, function () {
+      return 'd = ' + handle.Y().toFixed(1) + ' mm, C = ' +
+        formatSI(capacitance() * 1e-9) + 'F'
+    }])
+
+    plotReactanceVsFrequency(board, capacitance)
+  }
+
+  /* Drive a capacitor with a square, triangle or sawtooth wave of unit
+     amplitude, built from its first N Fourier harmonics, taking the frequency
+     from one plot and the capacitance from another. Each harmonic is marked on
+     the reactance curve of the capacitance plot, and the voltage is drawn with
+     the resulting current, which is scaled to its peak since the sharp edges
+     of the waves can draw very large currents. */
+  ns.drawHarmonics = function (graphElemID, frequencySource, capacitanceSource) {
+    var board = initBoard(graphElemID, [-0.2, 2, 3, -2])
+    frequencySource.board.addChild(board)
+    capacitanceSource.board.addChild(board)
+    board.addChild(capacitanceSource.board)
+    // The harmonic markers on the capacitance plot follow the frequency too
+    frequencySource.board.addChild(capacitanceSource.board)
+
+    /* Amplitude of the nth harmonic's sine term, or 0 if it is absent. */
+    var waves = {
+      square: function (n) {
+        return n % 2 ? 4 / (Math.PI * n) : 0
+      },
+      triangle: function (n) {
+        return n % 2 ? 8 / (Math.PI * Math.PI * n * n) * (n % 4 === 1 ? 1 : -1) : 0
+      },
+      sawtooth: function (n) {
+        return 2 / (Math.PI * n) * (n % 2 ? 1 : -1)
+      }
+    }
+    var wave = waves.square
+    var maxHarmonics = 25
+
+    var harmonics = board.create('slider', [[1.5, -1.5], [2.5, -1.5], [1, 9, maxHarmonics]],
+      { name: 'harmonics', snapWidth: 1, precision: 0 })
+
+    Object.keys(waves).forEach(function (name, i) {
+      board.create('button', [0.1 + 0.5 * i, 1.8, name, function () {
+        wave = waves[name]
+        board.update()
+      }])
+    })
+
+    function reactance (n) {
+      return capacitiveReactance(n * frequencySource.frequency(),
+        capacitanceSource.capacitance())
+    }
+
+    function present (n) {
+      return n <= harmonics.Value() && wave(n) !== 0
+    }
+
+    for (var n = 1; n <= maxHarmonics; n++) {
+      (function (n) {
+        capacitanceSource.board.create('point', [
+          function () { return present(n) ? n * frequencySource.frequency() : NaN },
+          function () { return present(n) ? reactance(n) : NaN }
+        ], { name: '', fixed: true, size: 2, strokeColor: 'orange', fillColor: 'orange' })
+      })(n)
+    }
+
+    var peakCurrent = 0
+    var voltage = board.create('curve', [[0], [0]], { strokeColor: 'blue', strokeWidth: 3 })
+    var current = board.create('curve', [[0], [0]], { strokeColor: 'red', strokeWidth: 3 })
+
+    /* Each harmonic b_n sin(n w t) of the voltage draws a current
+       b_n / X_C(n f) cos(n w t), leading it by 90 degrees. */
+    voltage.updateDataArray = function () {
+      var T = 3
+      var omega = 2 * Math.PI * frequencySource.frequency()
+      // At least 20 samples in each period of the highest harmonic
+      var samples = Math.max(600, Math.ceil(20 * harmonics.Value() * frequencySource.frequency() * T))
+
+      this.dataX = []
+      this.dataY = []
+      current.dataX = []
+      current.dataY = []
+      peakCurrent = 0
+
+      for (var i = 0; i <= samples; i++) {
+        var t = i * T / samples
+        var v = 0
+        var I = 0
+
+        for (var n = 1; n <= harmonics.Value(); n++) {
+          v += wave(n) * Math.sin(n * omega * t)
+          I += wave(n) / reactance(n) * Math.cos(n * omega * t)
+        }
+
+        this.dataX.push(t)
+        this.dataY.push(v)
+        current.dataX.push(t)
+        current.dataY.push(I)
+        peakCurrent = Math.max(peakCurrent, Math.abs(I))
+      }
+
+      current.dataY = current.dataY.map(function (I) { return I / peakCurrent })
+    }
+
+    /* The current's data is filled in by the voltage curve. */
+    current.updateDataArray = function () {}
+
+    board.create('text', [0.1, 1.5, function () {
+      return 'peak current = ' + formatSI(peakCurrent) + 'A'
+    }])
+
+    createAxes(board, 't', 'v, i')
+  }
+
+  /* Draw the power triangle of a series RLC load on an AC source, taking the
+     frequency from one plot and the capacitance from another. Setting the
+     inductance to zero leaves a series RC load. The real power P lies along
+     the x axis and the reactive power Q is drawn upwards for an inductive load
+     and downwards for a capacitive one. The triangle is scaled so that the
+     apparent power S always has the same length, while the powers themselves
+     are listed alongside. */
+  ns.drawPowerTriangle = function (graphElemID, frequencySource, capacitanceSource) {
+    var board = initBoard(graphElemID, [-10, 10, 10, -10])
+    frequencySource.board.addChild(board)
+    capacitanceSource.board.addChild(board)
+
+    var voltage = board.create('slider', [[-9, -6], [-4, -6], [0.5, 2, 5]],
+      { name: 'RMS voltage in Volts' })
+    var resistance = board.create('slider', [[-9, -7.5], [-4, -7.5], [0.1, 1, 5]],
+      { name: 'resistance in Ohms' })
+    var inductance = board.create('slider', [[-9, -9], [-4, -9], [0, 0, 1]],
+      { name: 'inductance in Henries' })
+
+    function power () {
+      var f = frequencySource.frequency()
+      var R = resistance.Value()
+      var X = inductiveReactance(f, inductance.Value()) -
+        capacitiveReactance(f, capacitanceSource.capacitance())
+      var Z = Math.sqrt(R * R + X * X)
+      var I = voltage.Value() / Z
+
+      return {
+        real: I * I * R,
+        reactive: I * I * X,
+        apparent: voltage.Value() * I,
+        factor: R / Z
+      }
+    }
+
+    function scale () {
+      return 8 / power().apparent
+    }
+
+    createPowerTriangle(board, [0, 0],
+      function () { return power().real * scale() },
+      function () { return power().reactive * scale() },
+      'yellow', ['P', 'Q', 'S'])
+
+    board.create('text', [-9, 9, function () {
+      var p = power()
+      return 'P = ' + p.real.toFixed(2) + ' W, Q = ' + p.reactive.toFixed(2) +
+        ' var, S = ' + p.apparent.toFixed(2) + ' VA, power factor = ' +
+        p.factor.toFixed(2) + (p.reactive < 0 ? ' leading' : ' lagging')
+    }])
+
+    createAxes(board, 'P', 'Q')
+  }
+
+  /* Design the capacitor which corrects the power factor of an inductive
+     load to a target value. The capacitor supplies the difference in reactive
+     power Q_c = P (tan(phi_1) - tan(phi_2)), so its reactance at the mains
+     frequency must be V^2 / Q_c. The power triangles before and after
+     correction are drawn to the same scale, and the capacitor is marked on a
+     plot of reactance against capacitance at the mains frequency. */
+  ns.drawPowerFactorCorrection = function (calculatorElemID, graphElemID) {
+    var calculator = initBoard(calculatorElemID, [-10, 10, 10, -10])
+    var board = initBoard(graphElemID, [-50, 50, 500, -2.5])
+    calculator.addChild(board)
+
+    var inputs = {
+      power: calculator.create('input', [-9, 9, '10', 'load in kW ']),
+      factor: calculator.create('input', [-9, 8, '0.7', 'power factor ']),
+      voltage: calculator.create('input', [-9, 7, '230', 'supply voltage in Volts ']),
+      frequency: calculator.create('input', [-9, 6, '50', 'frequency in Hz ']),
+      target: calculator.create('input', [-9, 5, '0.95', 'target power factor '])
+    }
+    var threePhase = calculator.create('checkbox', [1, 7, 'three-phase, line voltage'])
+
+    /* Read the inputs and size the capacitor, or return an error message. On
+       a three-phase supply the bank is three capacitors in delta, each across
+       the line voltage and supplying a third of Q_c, so each has
+       X = 3 V^2 / Q_c. */
+    function design () {
+      var values = {}
+      for (var name in inputs) {
+        values[name] = parseSI(inputs[name].Value())
+        if (isNaN(values[name])) {
+          return { error: 'cannot read "' + inputs[name].Value().trim() + '" as a value' }
+        }
+        if (!(values[name] > 0)) {
+          return { error: 'enter a positive number in every box' }
+        }
+      }
+
+      if (values.factor > 1 || values.target > 1) {
+        return { error: 'power factors must be between 0 and 1' }
+      }
+      if (values.target <= values.factor) {
+        return { error: 'the power factor is already at or above the target' }
+      }
+
+      var P = values.power * 1e3
+      var before = P * Math.tan(Math.acos(values.factor))
+      var after = P * Math.tan(Math.acos(values.target))
+      var Qc = before - after
+      var phases = threePhase.Value() ? 3 : 1
+      var X = phases * values.voltage * values.voltage / Qc
+
+      return {
+        real: P,
+        before: before,
+        after: after,
+        kvar: Qc / 1e3,
+        reactance: X,
+        frequency: values.frequency,
+        capacitance: 1 / (2 * Math.PI * values.frequency * X),
+        phases: phases
+      }
+    }
+
+    /* Scale both triangles so that the uncorrected apparent power is 8 long. */
+    function scale () {
+      var d = design()
+      return 8 / Math.sqrt(d.real * d.real + d.before * d.before)
+    }
+
+    function side (name) {
+      return function () {
+        var d = design()
+        return d.error ? 0 : d[name] * scale()
+      }
+    }
+
+    createPowerTriangle(calculator, [0, -9], side('real'), side('before'),
+      'orange', ['P', 'Q_1', 'S_1'])
+    createPowerTriangle(calculator, [0, -9], side('real'), side('after'),
+      'green', [null, 'Q_2', 'S_2'])
+
+    calculator.create('text', [-9, 3.5, function () {
+      var d = design()
+      if (d.error) {
+        return d.error
+      }
+      return 'correction capacitor: ' + (d.phases === 3 ? '3 \u00d7 ' : '') +
+        formatSI(d.capacitance) + 'F' + (d.phases === 3 ? ' in delta' : '') + ', ' +
+        d.kvar.toFixed(2) + ' kvar'
+    }])
+
+    /* Capacitance on this board is in microfarads. */
+    board.create('functiongraph', [
+      function (C) {
+        var d = design()
+        if (C > 0 && !d.error) {
+          return capacitiveReactance(d.frequency, C * 1e-6)
+        }
+      }
+    ])
+
+    var capacitor = board.create('point', [
+      function () { return design().capacitance * 1e6 },
+      function () { return design().reactance }
+    ], { name: 'C', fixed: true })
+
+    board.create('segment', [[function () { return capacitor.X() }, 0], capacitor],
+      { dash: 2, strokeColor: 'gray', point1: { visible: false } })
+    board.create('segment', [[0, function () { return capacitor.Y() }], capacitor],
+      { dash: 2, strokeColor: 'gray', point1: { visible: false } })
+
+    createAxes(board, 'C in \u00b5F', 'X_C')
+  }
+
+  /* Plot the locus of the complex impedance Z(jw) of a capacitor, or of a
+     series or parallel RC or RLC circuit, as the frequency sweeps from 0.01 to
+     10 Hz. A marker on the locus follows the frequency slider, and dragging
+     the marker along the locus moves the slider. */
+  ns.drawImpedancePlane = function (graphElemID) {
+    var board = initBoard(graphElemID, [-1, 6, 7, -6])
+
+    var frequency = board.create('slider', [[3, -3], [6, -3], [0.01, 1, 10]],
+      { name: 'frequency in Hz' })
+    var resistance = board.create('slider', [[3, -3.75], [6, -3.75], [0.1, 2, 5]],
+      { name: 'resistance in Ohms' })
+    var inductance = board.create('slider', [[3, -4.5], [6, -4.5], [0.01, 0.1, 1]],
+      { name: 'inductance in Henries' })
+    var capacitance = board.create('slider', [[3, -5.25], [6, -5.25], [0.01, 0.1, 1]],
+      { name: 'capacitance in Farads' })
+
+    var circuits = {
+      'capacitor': function (f) {
+        return capacitorImpedance(f, capacitance.Value())
+      },
+      'series RC': function (f) {
+        return seriesImpedance([
+          new JXG.Complex(resistance.Value(), 0),
+          capacitorImpedance(f, capacitance.Value())
+        ])
+      },
+      'parallel RC': function (f) {
+        return parallelImpedance([
+          new JXG.Complex(resistance.Value(), 0),
+          capacitorImpedance(f, capacitance.Value())
+        ])
+      },
+      'series RLC': function (f) {
+        return seriesImpedance([
+          new JXG.Complex(resistance.Value(), 0),
+          inductorImpedance(f, inductance.Value()),
+          capacitorImpedance(f, capacitance.Value())
+        ])
+      },
+      'parallel RLC': function (f) {
+        return parallelImpedance([
+          new JXG.Complex(resistance.Value(), 0),
+          inductorImpedance(f, inductance.Value()),
+          capacitorImpedance(f, capacitance.Value())
+        ])
+      }
+    }
+    var impedance = circuits['series RC']
+
+    Object.keys(circuits).forEach(function (name, i) {
+      board.create('button', [-0.8 + 1.5 * i, 5.6, name, function () {
+        impedance = circuits[name]
+        board.update()
+      }])
+    })
+
+    /* The locus is parametrised by frequency. */
+    var locus = board.create('curve', [
+      function (f) { return impedance(f).real },
+      function (f) { return impedance(f).imaginary },
+      0.01, 10
+    ], { strokeWidth: 3 })
+
+    /* A glider's position on a curve is the curve parameter, here the
+       frequency, so it is kept equal to the slider's value. */
+    var marker = board.create('glider', [0, 0, locus], { name: 'Z' })
+    marker.position = frequency.Value()
+
+    frequency.on('drag', function () {
+      marker.position = frequency.Value()
+    })
+    marker.on('drag', function () {
+      frequency.setValue(marker.position)
+    })
+
+    board.create('text', [-0.8, 5, function () {
+      var Z = impedance(frequency.Value())
+      return 'Z = ' + Z.real.toFixed(2) + (Z.imaginary < 0 ? ' - ' : ' + ') +
+        Math.abs(Z.imaginary).toFixed(2) + 'j \u03a9'
+    }])
+
+    createAxes(board, 'Re Z', 'Im Z')
+    board.update()
+  }
+
+  /* Draw a Smith chart for a reference impedance set by a slider, marking the
+     reflection coefficient of a capacitor with an optional series resistance.
+     The dashed curve is traced out as the frequency slider sweeps its range.
+     The chart's grid is made of the images of lines of constant resistance and
+     reactance, normalised to the reference impedance. */
+  ns.drawSmithChart = function (graphElemID) {
+    var board = initBoard(graphElemID, [-1.2, 1.2, 1.2, -1.8])
+
+    var frequency = board.create('slider', [[-0.6, -1.3], [0.6, -1.3], [10, 1000, 3000]],
+      { name: 'frequency in MHz' })
+    var capacitance = board.create('slider', [[-0.6, -1.45], [0.6, -1.45], [0.1, 2, 20]],
+      { name: 'capacitance in pF' })
+    var resistance = board.create('slider', [[-0.6, -1.6], [0.6, -1.6], [0, 0, 100]],
+      { name: 'series resistance in Ohms' })
+    var reference = board.create('slider', [[-0.6, -1.75], [0.6, -1.75], [10, 50, 100]],
+      { name: 'reference impedance in Ohms', snapWidth: 1, precision: 0 })
+
+    /* Map a normalised impedance r + jx onto the chart. */
+    function chartPoint (r, x) {
+      return reflectionCoefficient(new JXG.Complex(r, x), 1)
+    }
+
+    var grid = { strokeColor: 'gray', strokeWidth: 1, highlight: false }
+
+    ;[0, 0.2, 0.5, 1, 2, 5].forEach(function (r) {
+      board.create('curve', [
+        function (t) { return chartPoint(r, Math.tan(t)).real },
+        function (t) { return chartPoint(r, Math.tan(t)).imaginary },
+        -Math.PI / 2, Math.PI / 2
+      ], grid)
+    })
+
+    ;[-5, -2, -1, -0.5, -0.2, 0, 0.2, 0.5, 1, 2, 5].forEach(function (x) {
+      board.create('curve', [
+        function (t) { return chartPoint(Math.tan(t), x).real },
+        function (t) { return chartPoint(Math.tan(t), x).imaginary },
+        0, Math.PI / 2
+      ], grid)
+    })
+
+    function reflection (fMHz) {
+      var Z = seriesImpedance([
+        new JXG.Complex(resistance.Value(), 0),
+        capacitorImpedance(fMHz * 1e6, capacitance.Value() * 1e-12)
+      ])
+      return reflectionCoefficient(Z, reference.Value())
+    }
+
+    board.create('curve', [
+      function (f) { return reflection(f).real },
+      function (f) { return reflection(f).imaginary },
+      10, 3000
+    ], { strokeColor: 'red', dash: 2, strokeWidth: 2 })
+
+    board.create('point', [
+      function () { return reflection(frequency.Value()).real },
+      function () { return reflection(frequency.Value()).imaginary }
+    ], { name: '\u0393', fixed: true })
+
+    board.create('text', [-1.15, 1.1, function () {
+      var f = frequency.Value() * 1e6
+      var X = capacitiveReactance(f, capacitance.Value() * 1e-12)
+      var Z0 = reference.Value()
+      return 'z = ' + (resistance.Value() / Z0).toFixed(2) + ' - ' +
+        (X / Z0).toFixed(2) + 'j'
+    }])
+  }
+
+  /* Plot the input impedance of a transformer driven by a voltage source and
+     loaded by a resistor, against the load reflected to the primary, R / n^2,
+     when the coupling is perfect (dashed). The second board shows the
+     secondary voltage relative to n times the primary voltage, which dips
+     where the secondary's leakage inductance L2 (1 - k^2) resonates with the
+     interwinding capacitance, at f = sqrt(k n / (L2 (1 - k^2) C)) / 2 pi. */
+  ns.drawTransformer = function (impedanceElemID, gainElemID) {
+    var board = initBoard(gainElemID, [0.5, 20, 8.5, -100])
+    var impedanceBoard = initBoard(impedanceElemID, [0.5, 5.5, 8.5, -2.5])
+    board.addChild(impedanceBoard)
+
+    var inductance = board.create('slider', [[4.5, -55], [7.5, -55], [0.1, 1, 10]],
+      { name: 'L1 in mH' })
+    var ratio = board.create('slider', [[4.5, -62], [7.5, -62], [0.1, 0.5, 10]],
+      { name: 'turns ratio n' })
+    var coupling = board.create('slider', [[4.5, -69], [7.5, -69], [0.5, 0.99, 1]],
+      { name: 'coupling k' })
+    var capacitance = board.create('slider', [[4.5, -76], [7.5, -76], [0, 100, 1000]],
+      { name: 'interwinding C in pF' })
+    var load = board.create('slider', [[4.5, -83], [7.5, -83], [1, 10, 100]],
+      { name: 'load in Ohms' })
+
+    /* Solve the circuit at x = log10(f), giving the input impedance and the
+       secondary voltage, for 1 V on the primary. */
+    function solve (x) {
+      var elements = [
+        { name: 'V1', type: 'V', nodes: [1, 0], value: 1 },
+        {
+          name: 'K1',
+          type: 'K',
+          nodes: [1, 0],
+          secondary: [2, 0],
+          value: inductance.Value() * 1e-3,
+          ratio: ratio.Value(),
+          coupling: coupling.Value(),
+          capacitance: capacitance.Value() * 1e-12
+        },
+        { name: 'R1', type: 'R', nodes: [2, 0], value: load.Value() }
+      ]
+      var solution = ns.solveCircuit(elements, Math.pow(10, x))
+      return {
+        impedance: JXG.C.div(new JXG.Complex(-1, 0), solution.currents[0]),
+        secondary: solution.voltages[2]
+      }
+    }
+
+    function reflectedImpedance () {
+      return load.Value() / (ratio.Value() * ratio.Value())
+    }
+
+    function interwindingResonance () {
+      var n = ratio.Value()
+      var k = coupling.Value()
+      var leakage = inductance.Value() * 1e-3 * n * n * (1 - k * k)
+      return Math.sqrt(k * n / (leakage * capacitance.Value() * 1e-12)) / (2 * Math.PI)
+    }
+
+    impedanceBoard.create('functiongraph', [
+      function () { return Math.log10(reflectedImpedance()) }
+    ], { strokeColor: 'gray', dash: 2, strokeWidth: 2 })
+
+    impedanceBoard.create('functiongraph', [
+      function (x) { return Math.log10(JXG.C.abs(solve(x).impedance)) }
+    ], { strokeWidth: 3 })
+
+    impedanceBoard.create('text', [1, 5, function () {
+      return 'reflected load R / n^2 = ' + formatSI(reflectedImpedance()) + '\u03a9'
+    }])
+
+    createLogAxes(impedanceBoard, 'f', '|Z_in|', [1, -2], true)
+
+    board.create('functiongraph', [
+      function (x) { return 20 * Math.log10(JXG.C.abs(solve(x).secondary) / ratio.Value()) }
+    ], { strokeWidth: 3 })
+
+    function logResonance () {
+      return Math.log10(interwindingResonance())
+    }
+
+    board.create('segment', [[logResonance, 15], [logResonance, -45]],
+      { dash: 2, strokeColor: 'gray', point1: { visible: false }, point2: { visible: false } })
+
+    board.create('text', [1, 15, function () {
+      var f = interwindingResonance()
+      return isFinite(f) ? 'interwinding resonance at ' + formatSI(f) + 'Hz' : 'no interwinding resonance'
+    }])
+
+    createLogFrequencyAxes(board, 'V_2 / n V_1 in dB', 1)
+  }
+
+  /* Design an RC low-pass filter for a target cutoff frequency, given either
+     R or C, by computing the other component. Both are then snapped to the
+     nearest preferred values in the E-series chosen with the buttons. The gain
+     of the ideal (dashed) and snapped filters is plotted against frequency as
+     a multiple of the target cutoff, on a log scale. */
+  ns.drawFilterDesigner = function (graphElemID) {
+    var board = initBoard(graphElemID, [-2.5, 10, 2.5, -45])
+
+    var cutoffInput = board.create('input', [-2.4, -16, '1k', 'cutoff in Hz '])
+    var resistanceInput = board.create('input', [-2.4, -20, '10k', 'R in \u03a9 '])
+    var capacitanceInput = board.create('input', [-2.4, -24, '', 'C in F '])
+    var series = 'E12'
+
+    Object.keys(preferredValues).forEach(function (name, i) {
+      board.create('button', [-2.4 + 0.5 * i, -29, name, function () {
+        series = name
+        board.update()
+      }])
+    })
+
+    /* Read the inputs, leaving one of R and C blank to be computed. */
+    function design () {
+      var fc = parseSI(cutoffInput.Value())
+      var R = parseSI(resistanceInput.Value())
+      var C = parseSI(capacitanceInput.Value())
+
+      var unreadable = [cutoffInput, resistanceInput, capacitanceInput].filter(function (input) {
+        return input.Value().trim() !== '' && isNaN(parseSI(input.Value()))
+      })[0]
+      if (unreadable) {
+        return { error: 'cannot read "' + unreadable.Value().trim() + '" as a value' }
+      }
+      if (!(fc > 0)) {
+        return { error: 'enter a cutoff frequency' }
+      }
+      if (R > 0 && capacitanceInput.Value().trim() === '') {
+        C = 1 / (2 * Math.PI * R * fc)
+      } else if (C > 0 && resistanceInput.Value().trim() === '') {
+        R = 1 / (2 * Math.PI * C * fc)
+      } else {
+        return { error: 'enter one of R or C and leave the other blank' }
+      }
+
+      var snappedR = nearestPreferredValue(R, series)
+      var snappedC = nearestPreferredValue(C, series)
+      var snappedCutoff = 1 / (2 * Math.PI * snappedR * snappedC)
+
+      return {
+        cutoff: fc,
+        R: R,
+        C: C,
+        snappedR: snappedR,
+        snappedC: snappedC,
+        snappedCutoff: snappedCutoff,
+        error: null,
+        cutoffError: (snappedCutoff - fc) / fc
+      }
+    }
+
+    board.create('functiongraph', [
+      function (x) { return lowPassGain(Math.pow(10, x)) }
+    ], { strokeColor: 'gray', dash: 2, strokeWidth: 2 })
+
+    board.create('functiongraph', [
+      function (x) {
+        var d = design()
+        if (!d.error) {
+          return lowPassGain(Math.pow(10, x) * d.cutoff / d.snappedCutoff)
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    board.create('text', [-2.4, -34, function () {
+      var d = design()
+      if (d.error) {
+        return d.error
+      }
+      return 'exact: R = ' + formatSI(d.R) + '\u03a9, C = ' + formatSI(d.C) + 'F'
+    }])
+
+    board.create('text', [-2.4, -38, function () {
+      var d = design()
+      if (d.error) {
+        return ''
+      }
+      return series + ': R = ' + formatSI(d.snappedR) + '\u03a9, C = ' +
+        formatSI(d.snappedC) + 'F, cutoff = ' + formatSI(d.snappedCutoff) +
+        'Hz (' + (d.cutoffError >= 0 ? '+' : '') + (100 * d.cutoffError).toFixed(1) + '%)'
+    }])
+
+    createLogAxes(board, 'f / f_c', 'gain in dB', [-2, 0], false)
+  }
+
+  /* Coefficients, lowest power first, of the reverse Bessel polynomial of
+     order n, whose roots are the poles of a Bessel filter. */
+  function besselPolynomial (n) {
+    var coefficients = []
+    for (var k = 0; k <= n; k++) {
+      // (2n - k)! / (2^(n - k) k! (n - k)!)
+      var a = Math.pow(2, k - n)
+      var i
+      for (i = n - k + 1; i <= 2 * n - k; i++) {
+        a *= i
+      }
+      for (i = 2; i <= k; i++) {
+        a /= i
+      }
+      coefficients.push(a)
+    }
+    return coefficients
+  }
+
+  /* Value of the polynomial with real coefficients, lowest power first, at
+     the complex number z. */
+  function evaluatePolynomial (coefficients, z) {
+    var value = new JXG.Complex(0, 0)
+    for (var k = coefficients.length - 1; k >= 0; k--) {
+      value = JXG.C.add(JXG.C.mult(value, z), coefficients[k])
+    }
+    return value
+  }
+
+  /* Complex roots of the polynomial with real coefficients, lowest power
+     first, found by the Durand-Kerner method. */
+  function polynomialRoots (coefficients) {
+    var n = coefficients.length - 1
+    var monic = coefficients.map(function (c) { return c / coefficients[n] })
+    var roots = []
+    var i, j
+
+    for (i = 0; i < n; i++) {
+      roots.push(i === 0 ? new JXG.Complex(1, 0) : JXG.C.mult(roots[i - 1], new JXG.Complex(0.4, 0.9)))
+    }
+
+    for (var iteration = 0; iteration < 500; iteration++) {
+      for (i = 0; i < n; i++) {
+        var denominator = new JXG.Complex(1, 0)
+        for (j = 0; j < n; j++) {
+          if (j !== i) {
+            denominator = JXG.C.mult(denominator, JXG.C.sub(roots[i], roots[j]))
+          }
+        }
+        roots[i] = JXG.C.sub(roots[i], JXG.C.div(evaluatePolynomial(monic, roots[i]), denominator))
+      }
+    }
+    return roots
+  }
+
+  /* Denominator of the Bessel filter of order n, with its frequency scaled so
+     that the gain is 3 dB down at 1 rad/s. */
+  function besselDenominator (n) {
+    var D = besselPolynomial(n)
+    var gain = function (w) {
+      return D[0] / JXG.C.abs(evaluatePolynomial(D, new JXG.Complex(0, w)))
+    }
+
+    var low = 0
+    var high = 1
+    while (gain(high) > Math.SQRT1_2) {
+      high *= 2
+    }
+    for (var i = 0; i < 60; i++) {
+      var middle = (low + high) / 2
+      if (gain(middle) > Math.SQRT1_2) {
+        low = middle
+      } else {
+        high = middle
+      }
+    }
+
+    return D.map(function (a, k) { return a * Math.pow(low, k) })
+  }
+
+  /* Poles of the low-pass filter of order n and the given type, normalised to
+     a cutoff of 1 rad/s. For Chebyshev filters the cutoff is the edge of the
+     passband, where the gain last falls by the ripple in dB. */
+  function filterPoles (type, n, ripple) {
+    var poles = []
+    var k
+
+    if (type === 'Bessel') {
+      return polynomialRoots(besselDenominator(n))
+    }
+
+    if (type === 'Butterworth') {
+      for (k = 1; k <= n; k++) {
+        var angle = Math.PI * (2 * k + n - 1) / (2 * n)
+        poles.push(new JXG.Complex(Math.cos(angle), Math.sin(angle)))
+      }
+      return poles
+    }
+
+    var epsilon = Math.sqrt(Math.pow(10, ripple / 10) - 1)
+    var a = Math.asinh(1 / epsilon) / n
+    for (k = 1; k <= n; k++) {
+      var theta = Math.PI * (2 * k - 1) / (2 * n)
+      poles.push(new JXG.Complex(-Math.sinh(a) * Math.sin(theta), Math.cosh(a) * Math.cos(theta)))
+    }
+    return poles
+  }
+
+  /* Element values g1 ... gn of the low-pass LC ladder prototype, between a
+     1 Ohm source and a load of load Ohms, with a cutoff of 1 rad/s. The load
+     is 1 Ohm except for even-order Chebyshev ladders, which need
+     tanh^2(beta / 4) Ohms. The first element is a shunt capacitor, then they
+     alternate with series inductors.
+     Butterworth and Chebyshev ladders have closed forms, while the Bessel
+     ladder comes from a continued fraction expansion of its input admittance. */
+  function ladderPrototype (type, n, ripple) {
+    var g = []
+    var k
+
+    if (type === 'Butterworth') {
+      for (k = 1; k <= n; k++) {
+        g.push(2 * Math.sin((2 * k - 1) * Math.PI / (2 * n)))
+      }
+      return { g: g, load: 1 }
+    }
+
+    if (type === 'Chebyshev') {
+      var beta = Math.log(1 / Math.tanh(ripple / 17.37))
+      var gamma = Math.sinh(beta / (2 * n))
+      var a = []
+      var b = []
+      for (k = 1; k <= n; k++) {
+        a.push(Math.sin((2 * k - 1) * Math.PI / (2 * n)))
+        b.push(gamma * gamma + Math.pow(Math.sin(k * Math.PI / n), 2))
+      }
+      g.push(2 * a[0] / gamma)
+      for (k = 1; k < n; k++) {
+        g.push(4 * a[k - 1] * a[k] / (b[k - 1] * g[k - 1]))
+      }
+      return { g: g, load: n % 2 ? 1 : Math.pow(Math.tanh(beta / 4), 2) }
+    }
+
+    // The reflection coefficient S11 of the matched ladder satisfies
+    // S11(s) S11(-s) = 1 - H(s) H(-s), so its numerator N has
+    // N(s) N(-s) = D(s) D(-s) - D(0)^2, which is a polynomial in x = s^2
+    // with a root at x = 0. Each other root gives the left half plane root
+    // of N which is its square root.
+    var D = besselDenominator(n)
+    var E = []
+    for (k = 1; k <= n; k++) {
+      var e = 0
+      for (var i = Math.max(0, 2 * k - n); i <= Math.min(n, 2 * k); i++) {
+        e += D[i] * D[2 * k - i] * (i % 2 ? -1 : 1)
+      }
+      E.push(e)
+    }
+
+    var N = [new JXG.Complex(0, 0), new JXG.Complex(D[n], 0)]
+    polynomialRoots(E).forEach(function (x) {
+      var r = Math.sqrt(JXG.C.abs(x))
+      var angle = Math.atan2(x.imaginary, x.real) / 2
+      var root = new JXG.Complex(-r * Math.cos(angle), -r * Math.sin(angle))
+      var product = [new JXG.Complex(0, 0)]
+      N.forEach(function (c, j) {
+        product[j] = JXG.C.sub(product[j], JXG.C.mult(c, root))
+        product.push(new JXG.Complex(c))
+      })
+      N = product
+    })
+
+    // The input admittance (D + N) / (D - N) expands as
+    // s g1 + 1 / (s g2 + 1 / (... + 1 / (s gn + remainder)))
+    var top = D.map(function (d, j) { return d + N[j].real })
+    var bottom = D.map(function (d, j) { return d - N[j].real }).slice(0, n)
+    for (k = n; k > 0; k--) {
+      var value = top[k] / bottom[k - 1]
+      g.push(value)
+      for (var j = 0; j < k; j++) {
+        top[j + 1] -= value * bottom[j]
+      }
+      top.length = Math.max(k - 1, 1)
+      var swap = top
+      top = bottom
+      bottom = swap
+    }
+
+    // The remainder is the load's conductance after a shunt capacitor, or
+    // its resistance after a series inductor.
+    return { g: g, load: n % 2 ? top[0] / bottom[0] : bottom[0] / top[0] }
+  }
+
+  /* The LC ladder realising the prototype with the given cutoff in Hz and
+     source impedance in Ohms, as a circuit for lib.solveCircuit. The load is
+     the prototype's load scaled by the same impedance. */
+  function ladderCircuit (prototype, cutoff, impedance) {
+    var w = 2 * Math.PI * cutoff
+    var elements = [
+      { name: 'V1', type: 'V', nodes: [1, 0], value: 1 },
+      { name: 'Rs', type: 'R', nodes: [1, 2], value: impedance }
+    ]
+    var node = 2
+
+    prototype.g.forEach(function (g, k) {
+      if (k % 2 === 0) {
+        elements.push({ name: 'C' + (k + 1), type: 'C', nodes: [node, 0], value: g / (w * impedance) })
+      } else {
+        elements.push({ name: 'L' + (k + 1), type: 'L', nodes: [node, node + 1], value: g * impedance / w })
+        node++
+      }
+    })
+    elements.push({ name: 'RL', type: 'R', nodes: [node, 0], value: prototype.load * impedance })
+
+    return { title: 'LC ladder', elements: elements, input: 0, output: node }
+  }
+
+  /* A cascade of buffered sections realising the poles, with every resistor
+     equal to R. A pair of complex poles is a unity gain Sallen-Key section
+     with H = 1 / (s^2 R^2 C1 C2 + 2 s R C2 + 1), and a real pole is an RC
+     section. */
+  function cascadeSections (poles, cutoff, R) {
+    var w = 2 * Math.PI * cutoff
+    var sections = []
+
+    poles.forEach(function (p) {
+      var w0 = w * JXG.C.abs(p)
+      if (Math.abs(p.imaginary) < 1e-9) {
+        sections.push({ R: R, C: [1 / (w0 * R)] })
+      } else if (p.imaginary > 0) {
+        var Q = JXG.C.abs(p) / (-2 * p.real)
+        sections.push({ R: R, C: [2 * Q / (w0 * R), 1 / (2 * Q * w0 * R)] })
+      }
+    })
+
+    return sections
+  }
+
+  /* Response of a cascade of sections at frequency f in Hz. */
+  function cascadeResponse (sections, f) {
+    var s = new JXG.Complex(0, 2 * Math.PI * f)
+    var H = new JXG.Complex(1, 0)
+
+    sections.forEach(function (section) {
+      var RC = JXG.C.mult(s, section.R * section.C[section.C.length - 1])
+      var denominator = JXG.C.add(RC, 1)
+      if (section.C.length === 2) {
+        denominator = JXG.C.add(JXG.C.add(RC, RC), JXG.C.add(JXG.C.mult(JXG.C.mult(s, s),
+          section.R * section.R * section.C[0] * section.C[1]), 1))
+      }
+      H = JXG.C.div(H, denominator)
+    })
+
+    return H
+  }
+
+  /* Design a low-pass filter of higher order, choosing its order, type,
+     cutoff and impedance, and the passband ripple for Chebyshev filters. It
+     is realised either as a passive LC ladder driven from a source
+     resistance R, or as a cascade of active RC sections, and the gain and
+     phase of the result are plotted against f / f_c on log axes. The ladder's
+     load is R too, except for even-order Chebyshev ladders, whose smaller
+     load is listed with the other components. Each capacitor is listed with
+     its reactance at the cutoff. */
+  ns.drawHigherOrderFilter = function (gainElemID, phaseElemID) {
+    var board = initBoard(gainElemID, [-2, 10, 2, -150])
+    var phaseBoard = initBoard(phaseElemID, [-2, 90, 2, -760])
+    board.addChild(phaseBoard)
+
+    var order = board.create('slider', [[-1.5, -88], [0, -88], [1, 3, 8]],
+      { name: 'order', snapWidth: 1, precision: 0 })
+    var type = 'Butterworth'
+    var topology = 'ladder'
+
+    var types = ['Butterworth', 'Chebyshev', 'Bessel']
+    var topologies = [['LC ladder', 'ladder'], ['RC cascade', 'cascade']]
+
+    types.forEach(function (name, i) {
+      board.create('button', [-1.9 + 0.7 * i, -96, name, function () {
+        type = name
+        board.update()
+      }])
+    })
+    topologies.forEach(function (option, i) {
+      board.create('button', [0.3 + 0.7 * i, -96, option[0], function () {
+        topology = option[1]
+        board.update()
+      }])
+    })
+
+    var cutoffInput = board.create('input', [-1.9, -104, '1k', 'cutoff in Hz '])
+    var impedanceInput = board.create('input', [-1.9, -112, '1k', 'R in \u03a9 '])
+    var rippleInput = board.create('input', [-1.9, -120, '1', 'ripple in dB '])
+
+    /* Read the inputs and work out the components. */
+    function design () {
+      var n = Math.round(order.Value())
+      var cutoff = parseSI(cutoffInput.Value())
+      var R = parseSI(impedanceInput.Value())
+      var ripple = parseFloat(rippleInput.Value())
+
+      if (!(cutoff > 0) || !(R > 0)) {
+        return { error: 'enter a cutoff and a resistance' }
+      }
+      if (type === 'Chebyshev' && !(ripple > 0)) {
+        return { error: 'enter a ripple greater than 0 dB' }
+      }
+
+      if (topology === 'ladder') {
+        var prototype = ladderPrototype(type, n, ripple)
+        var circuit = ladderCircuit(prototype, cutoff, R)
+        return {
+          cutoff: cutoff,
+          components: circuit.elements.slice(2),
+          response: function (f) {
+            // Gain relative to the power available from the source
+            var solution = ns.solveCircuit(circuit.elements, f)
+            return JXG.C.mult(solution.voltages[circuit.output], 2 / Math.sqrt(prototype.load))
+          },
+          error: null
+        }
+      }
+
+      var sections = cascadeSections(filterPoles(type, n, ripple), cutoff, R)
+      var components = []
+      sections.forEach(function (section) {
+        section.C.forEach(function (C) {
+          components.push({ name: 'C' + (components.length + 1), type: 'C', value: C })
+        })
+      })
+      return {
+        cutoff: cutoff,
+        components: [{ name: 'R', type: 'R', value: R }].concat(components),
+        response: function (f) { return cascadeResponse(sections, f) },
+        error: null
+      }
+    }
+
+    /* Sample the gain in dB and the unwrapped phase in degrees. */
+    function sampleResponse () {
+      var d = design()
+      var x = []
+      var gain = []
+      var phase = []
+      var last = 0
+
+      if (d.error) {
+        return { x: x, gain: gain, phase: phase }
+      }
+      for (var i = 0; i <= 300; i++) {
+        var H = d.response(d.cutoff * Math.pow(10, -1.5 + i / 100))
+        var angle = Math.atan2(H.imaginary, H.real) * 180 / Math.PI
+        angle -= 360 * Math.round((angle - last) / 360)
+        last = angle
+        x.push(-1.5 + i / 100)
+        gain.push(20 * Math.log10(JXG.C.abs(H)))
+        phase.push(angle)
+      }
+      return { x: x, gain: gain, phase: phase }
+    }
+
+    var gainCurve = board.create('curve', [[0], [0]], { strokeWidth: 3 })
+    gainCurve.updateDataArray = function () {
+      var response = sampleResponse()
+      this.dataX = response.x
+      this.dataY = response.gain.map(function (gain) { return gain < -80 ? NaN : gain })
+    }
+
+    var phaseCurve = phaseBoard.create('curve', [[0], [0]], { strokeWidth: 3 })
+    phaseCurve.updateDataArray = function () {
+      var response = sampleResponse()
+      this.dataX = response.x
+      this.dataY = response.phase
+    }
+
+    board.create('text', [0.3, -104, function () {
+      var d = design()
+      if (d.error) {
+        return d.error
+      }
+      return d.components.map(function (component) {
+        var units = { R: '\u03a9', L: 'H', C: 'F' }
+        var line = component.name + ' = ' + formatSI(component.value) + units[component.type]
+        if (component.type === 'C') {
+          line += ', X = ' + formatSI(capacitiveReactance(d.cutoff, component.value)) + '\u03a9'
+        }
+        return line
+      }).join('<br>')
+    }], { anchorY: 'top' })
+
+    createLogAxes(board, 'f / f_c', 'gain in dB', [-1.5, 0], false)
+    createLogAxes(phaseBoard, 'f / f_c', 'phase in degrees', [-1.5, 0], false)
+  }
+
+  /* Second order active filters, each built from resistors R1 and R2,
+     capacitors C1 and C2 and an op-amp. Nodes are 1 for the input, 2 and 3
+     inside the filter and 4 for the output. Sallen-Key filters use the op-amp
+     as a unity gain follower, while multiple-feedback (MFB) filters invert
+     with a gain of -1, so their input and feedback parts are equal. Q gives
+     the quality factor of the poles with an ideal op-amp. */
+  var activeFilters = {
+    'Sallen-Key low-pass': {
+      elements: function (R1, R2, C1, C2) {
+        return [
+          { name: 'R1', type: 'R', nodes: [1, 2], value: R1 },
+          { name: 'R2', type: 'R', nodes: [2, 3], value: R2 },
+          { name: 'C1', type: 'C', nodes: [2, 4], value: C1 },
+          { name: 'C2', type: 'C', nodes: [3, 0], value: C2 }
+        ]
+      },
+      control: [3, 4],
+      Q: function (R1, R2, C1, C2) {
+        return Math.sqrt(R1 * R2 * C1 * C2) / (C2 * (R1 + R2))
+      }
+    },
+    'Sallen-Key high-pass': {
+      elements: function (R1, R2, C1, C2) {
+        return [
+          { name: 'C1', type: 'C', nodes: [1, 2], value: C1 },
+          { name: 'C2', type: 'C', nodes: [2, 3], value: C2 },
+          { name: 'R1', type: 'R', nodes: [2, 4], value: R1 },
+          { name: 'R2', type: 'R', nodes: [3, 0], value: R2 }
+        ]
+      },
+      control: [3, 4],
+      Q: function (R1, R2, C1, C2) {
+        return Math.sqrt(R1 * R2 * C1 * C2) / (R1 * (C1 + C2))
+      }
+    },
+    'MFB low-pass': {
+      elements: function (R1, R2, C1, C2) {
+        return [
+          { name: 'R1', type: 'R', nodes: [1, 2], value: R1 },
+          { name: 'R1\'', type: 'R', nodes: [2, 4], value: R1 },
+          { name: 'R2', type: 'R', nodes: [2, 3], value: R2 },
+          { name: 'C1', type: 'C', nodes: [2, 0], value: C1 },
+          { name: 'C2', type: 'C', nodes: [3, 4], value: C2 }
+        ]
+      },
+      control: [0, 3],
+      Q: function (R1, R2, C1, C2) {
+        return Math.sqrt(C1 / C2) * Math.sqrt(R1 * R2) / (R1 + 2 * R2)
+      }
+    },
+    'MFB high-pass': {
+      elements: function (R1, R2, C1, C2) {
+        return [
+          { name: 'C1', type: 'C', nodes: [1, 2], value: C1 },
+          { name: 'C1\'', type: 'C', nodes: [2, 4], value: C1 },
+          { name: 'C2', type: 'C', nodes: [2, 3], value: C2 },
+          { name: 'R1', type: 'R', nodes: [2, 0], value: R1 },
+          { name: 'R2', type: 'R', nodes: [3, 4], value: R2 }
+        ]
+      },
+      control: [0, 3],
+      Q: function (R1, R2, C1, C2) {
+        return Math.sqrt(R2 / R1) * Math.sqrt(C1 * C2) / (2 * C1 + C2)
+      }
+    }
+  }
+
+  /* Plot the response of a Sallen-Key or MFB active filter, with sliders for
+     its components and the gain-bandwidth product of its op-amp, against
+     the response with an ideal op-amp (dashed). The second board shows how
+     far Q moves when either capacitor is off its value by a given mismatch,
+     since Q is set by the ratio of the capacitors' reactances. */
+  ns.drawActiveFilter = function (gainElemID, sensitivityElemID) {
+    var board = initBoard(gainElemID, [0, 30, 7, -100])
+    var sensitivityBoard = initBoard(sensitivityElemID, [-25, 30, 25, -30])
+    board.addChild(sensitivityBoard)
+
+    var R1 = board.create('slider', [[3.5, -55], [5.5, -55], [1, 10, 100]], { name: 'R1 in k\u03a9' })
+    var R2 = board.create('slider', [[3.5, -62], [5.5, -62], [1, 10, 100]], { name: 'R2 in k\u03a9' })
+    var C1 = board.create('slider', [[3.5, -69], [5.5, -69], [1, 20, 100]], { name: 'C1 in nF' })
+    var C2 = board.create('slider', [[3.5, -76], [5.5, -76], [1, 10, 100]], { name: 'C2 in nF' })
+    var gbw = board.create('slider', [[3.5, -83], [5.5, -83], [0.1, 1, 10]], { name: 'GBW in MHz' })
+    var highPass = board.create('checkbox', [3.5, -48, 'high-pass filter'])
+    var topology = 'Sallen-Key'
+
+    var topologies = ['Sallen-Key', 'MFB']
+
+    topologies.forEach(function (name, i) {
+      board.create('button', [3.5 + 1.2 * i, -41, name, function () {
+        topology = name
+        board.update()
+      }])
+    })
+
+    function filter () {
+      return activeFilters[topology + (highPass.Value() ? ' high-pass' : ' low-pass')]
+    }
+
+    /* Component values in Ohms and Farads, with the capacitors scaled by
+       mismatch. */
+    function values (C1Mismatch, C2Mismatch) {
+      return [R1.Value() * 1e3, R2.Value() * 1e3,
+        C1.Value() * 1e-9 * (1 + (C1Mismatch || 0)), C2.Value() * 1e-9 * (1 + (C2Mismatch || 0))]
+    }
+
+    function naturalFrequency () {
+      var v = values()
+      return 1 / (2 * Math.PI * Math.sqrt(v[0] * v[1] * v[2] * v[3]))
+    }
+
+    /* Gain in dB at x = log10(f), with an op-amp of open loop gain 10^5, the
+       gain-bandwidth product from the slider and an output resistance of
+       100 Ohms, or an ideal one. */
+    function gain (x, ideal) {
+      var elements = filter().elements.apply(null, values())
+      elements.unshift({ name: 'V1', type: 'V', nodes: [1, 0], value: 1 })
+      elements.push({
+        name: 'E1',
+        type: 'E',
+        nodes: [5, 0],
+        control: filter().control,
+        value: ideal ? 1e9 : 1e5,
+        gbw: ideal ? 0 : gbw.Value() * 1e6
+      })
+      elements.push({ name: 'Ro', type: 'R', nodes: [5, 4], value: ideal ? 1e-9 : 100 })
+      var output = ns.solveCircuit(elements, Math.pow(10, x)).voltages[4]
+      return 20 * Math.log10(JXG.C.abs(output))
+    }
+
+    board.create('functiongraph', [function (x) { return gain(x, true) }],
+      { strokeColor: 'gray', dash: 2, strokeWidth: 2 })
+    board.create('functiongraph', [function (x) { return gain(x, false) }], { strokeWidth: 3 })
+
+    board.create('text', [3.5, 20, function () {
+      return 'f_0 = ' + formatSI(naturalFrequency()) + 'Hz, Q = ' +
+        filter().Q.apply(null, values()).toFixed(3)
+    }])
+
+    createLogFrequencyAxes(board, 'gain in dB', 0.5)
+
+    /* Percentage change in Q when C1 or C2 is off by mismatch percent. */
+    function change (mismatch, capacitor) {
+      var Q = filter().Q
+      var shifted = capacitor === 1 ? values(mismatch / 100, 0) : values(0, mismatch / 100)
+      return 100 * (Q.apply(null, shifted) / Q.apply(null, values()) - 1)
+    }
+
+    /* Sensitivity of Q to a capacitor, the fractional change in Q for a small
+       fractional change in the capacitor. */
+    function sensitivity (capacitor) {
+      return (change(0.01, capacitor) - change(-0.01, capacitor)) / 0.02
+    }
+
+    sensitivityBoard.create('functiongraph', [function (x) { return change(x, 1) }],
+      { strokeWidth: 3, strokeColor: 'blue' })
+    sensitivityBoard.create('functiongraph', [function (x) { return change(x, 2) }],
+      { strokeWidth: 3, strokeColor: 'red' })
+
+    sensitivityBoard.create('text', [-23, 25, function () {
+      return 'varying C1, sensitivity ' + sensitivity(1).toFixed(3)
+    }], { strokeColor: 'blue' })
+    sensitivityBoard.create('text', [-23, 21, function () {
+      return 'varying C2, sensitivity ' + sensitivity(2).toFixed(3)
+    }], { strokeColor: 'red' })
+
+    createAxes(sensitivityBoard, 'mismatch in %', 'change in Q in %')
+  }
+
+  /* Run a Monte Carlo simulation of capacitors whose values are spread
+     normally about the capacitance of frequencyPlot, with the tolerance at
+     three standard deviations and no part outside it. The band of reactance
+     curves is shaded on frequencyPlot, between either the extreme samples or
+     their 5th and 95th percentiles, and the second board shows a histogram of
+     the reactance at a chosen frequency. */
+  ns.drawToleranceBands = function (histogramElemID, frequencyPlot) {
+    var board = initBoard(histogramElemID, [-50, 100, 50, -40])
+    board.addChild(frequencyPlot.board)
+    frequencyPlot.board.addChild(board)
+
+    var tolerance = board.create('slider', [[-15, -15], [15, -15], [1, 10, 30]],
+      { name: 'tolerance in %' })
+    var frequency = board.create('slider', [[-15, -22], [15, -22], [0.1, 1, 10]],
+      { name: 'frequency in Hz' })
+    var percentiles = board.create('checkbox', [-30, -30, 'show 5th to 95th percentiles'])
+
+    var sampleCount = 1000
+    var normals = []
+
+    /* Draw standard normal samples by the Box-Muller transform. */
+    function sample () {
+      normals = []
+      for (var i = 0; i < sampleCount; i++) {
+        var u = 1 - Math.random()
+        var v = Math.random()
+        normals.push(Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v))
+      }
+    }
+
+    /* Relative deviations of the sampled capacitors from nominal, sorted. */
+    function deviations () {
+      var limit = tolerance.Value() / 100
+      return normals.map(function (z) {
+        return Math.max(-limit, Math.min(limit, z * limit / 3))
+      }).sort(function (a, b) { return a - b })
+    }
+
+    /* Since X_C falls as C rises, the lowest curve comes from the largest
+       capacitor, so the band is bounded by the capacitors at either end. */
+    function bounds () {
+      var sorted = deviations()
+      if (percentiles.Value()) {
+        return [sorted[Math.floor(0.05 * sampleCount)], sorted[Math.floor(0.95 * sampleCount)]]
+      }
+      return [sorted[0], sorted[sampleCount - 1]]
+    }
+
+    sample()
+
+    board.create('button', [-30, 90, 'run again', function () {
+      sample()
+      board.update()
+    }])
+
+    var band = frequencyPlot.board.create('curve', [[0], [0]], {
+      strokeColor: 'orange',
+      fillColor: 'orange',
+      fillOpacity: 0.3,
+      highlight: false
+    })
+    band.updateDataArray = function () {
+      var C = frequencyPlot.capacitance()
+      var range = bounds()
+      var f
+
+      this.dataX = []
+      this.dataY = []
+      for (f = 0.05; f <= 10; f += 0.05) {
+        this.dataX.push(f)
+        this.dataY.push(capacitiveReactance(f, C * (1 + range[0])))
+      }
+      for (f -= 0.05; f >= 0.05; f -= 0.05) {
+        this.dataX.push(f)
+        this.dataY.push(capacitiveReactance(f, C * (1 + range[1])))
+      }
+    }
+
+    frequencyPlot.board.create('segment', [
+      [function () { return frequency.Value() }, 0],
+      [function () { return frequency.Value() }, 10]
+    ], { strokeColor: 'gray', dash: 2, point1: { visible: false }, point2: { visible: false } })
+
+    function nominalReactance () {
+      return capacitiveReactance(frequency.Value(), frequencyPlot.capacitance())
+    }
+
+    /* Histogram of X_C at the chosen frequency in 20 bins spanning the
+       samples, with heights as a percentage of the samples. It is placed by
+       the percentage deviation from nominal, so it keeps its place on the
+       board, and the axis is labelled in Ohms. */
+    var histogram = board.create('curve', [[0], [0]], {
+      strokeColor: 'blue',
+      fillColor: 'blue',
+      fillOpacity: 0.3,
+      highlight: false
+    })
+    histogram.updateDataArray = function () {
+      var binCount = 20
+      var nominal = nominalReactance()
+      var reactances = deviations().map(function (d) {
+        return capacitiveReactance(frequency.Value(), frequencyPlot.capacitance() * (1 + d))
+      })
+      var lowest = Math.min.apply(null, reactances)
+      var binWidth = (Math.max.apply(null, reactances) - lowest) / binCount || nominal / 100
+      var counts = []
+
+      for (var bin = 0; bin < binCount; bin++) {
+        counts.push(0)
+      }
+      reactances.forEach(function (X) {
+        counts[Math.min(Math.floor((X - lowest) / binWidth), binCount - 1)]++
+      })
+
+      function position (X) {
+        return 100 * (X / nominal - 1)
+      }
+
+      this.dataX = [position(lowest)]
+      this.dataY = [0]
+      counts.forEach(function (count, bin) {
+        var height = 100 * count / sampleCount
+        var left = position(lowest + bin * binWidth)
+        var right = position(lowest + (bin + 1) * binWidth)
+        this.dataX.push(left, left, right, right)
+        this.dataY.push(0, height, height, 0)
+      }, this)
+    }
+
+    board.create('text', [-30, 80, function () {
+      var nominal = nominalReactance()
+      var range = bounds()
+      return 'nominal X_C = ' + formatSI(nominal) + '\u03a9, band from ' +
+        formatSI(nominal / (1 + range[1])) + '\u03a9 to ' +
+        formatSI(nominal / (1 + range[0])) + '\u03a9'
+    }])
+
+    board.create('axis', [[0, 0], [1, 0]], {
+      name: 'X_C in Ohms',
+      withLabel: true,
+      label: { position: 'rt', offset: [-15, 20] },
+      ticks: {
+        // Relabel on every update, not only when the board is zoomed
+        needsRegularUpdate: true,
+        generateLabelText: function (tick, zero) {
+          return formatSI(nominalReactance() * (1 + this.getDistanceFromZero(zero, tick) / 100))
+        }
+      }
+    })
+
+    board.create('axis', [[0, 0], [0, 1]], {
+      name: 'samples in %',
+      withLabel: true,
+      label: { position: 'rt', offset: [30, 0] }
+    })
+  }
+
+  /* Plot the reactance against frequency of ceramic capacitors of each
+     dielectric class, derated for temperature and DC bias from the nominal
+     capacitance of capacitanceSource, which is dashed. */
+  ns.drawDielectricDerating = function (graphElemID, capacitanceSource) {
+    var board = initBoard(graphElemID)
+    capacitanceSource.board.addChild(board)
+
+    var temperature = board.create('slider', [[5, 9], [8, 9], [-55, 25, 125]],
+      { name: 'temperature in \u00b0C', snapWidth: 1, precision: 0 })
+    var bias = board.create('slider', [[5, 8], [8, 8], [0, 0, 100]],
+      { name: 'DC bias in % of rated', snapWidth: 1, precision: 0 })
+
+    board.create('functiongraph', [
+      function (f) {
+        if (f > 0) {
+          return capacitiveReactance(f, capacitanceSource.capacitance())
+        }
+      }
+    ], { strokeColor: 'gray', dash: 2, strokeWidth: 2 })
+
+    Object.keys(dielectrics).forEach(function (name, i) {
+      function effective () {
+        return deratedCapacitance(capacitanceSource.capacitance(), name,
+          temperature.Value(), bias.Value() / 100)
+      }
+
+      board.create('functiongraph', [
+        function (f) {
+          if (f > 0) {
+            return capacitiveReactance(f, effective())
+          }
+        }
+      ], { strokeColor: dielectrics[name].color })
+
+      board.create('text', [5, 6.5 - 0.6 * i, function () {
+        var range = dielectrics[name].range
+        var T = temperature.Value()
+        var change = effective() / capacitanceSource.capacitance() - 1
+        return name + ': ' + (change >= 0 ? '+' : '') + (100 * change).toFixed(1) + '%' +
+          (T < range[0] || T > range[1] ? ' (outside rated range)' : '')
+      }], { strokeColor: dielectrics[name].color })
+    })
+
+    createAxes(board, 'f', 'X_C')
+  }
+
+  /* Draw Bode plots of the response of an arbitrary circuit, solved by
+     lib.solveCircuit at each frequency. The circuit is { elements, input,
+     output, sweep }, where input is the index of the voltage source driving
+     it, output is the node whose voltage is plotted relative to the source
+     and the optional sweep { start, stop } sets the range of frequencies.
+     Returns the board, a getter for the circuit and a setter to swap in
+     another circuit. */
+  ns.drawCircuitResponse = function (gainElemID, phaseElemID, circuit) {
+    var board = initBoard(gainElemID, [-2.5, 10, 3, -60])
+    var phaseBoard = initBoard(phaseElemID, [-2.5, 200, 3, -200])
+    board.addChild(phaseBoard)
+
+    var error = ''
+
+    /* Range of log10(f) to plot over. */
+    function sweep () {
+      if (circuit.sweep) {
+        return [Math.log10(circuit.sweep.start), Math.log10(circuit.sweep.stop)]
+      }
+      return [-2, 3]
+    }
+
+    function showSweep () {
+      var range = sweep()
+      var margin = (range[1] - range[0]) / 10
+      board.setBoundingBox([range[0] - margin, 10, range[1], -60])
+      phaseBoard.setBoundingBox([range[0] - margin, 200, range[1], -200])
+    }
+
+    /* Transfer function V_out / V_in at x = log10(f), or null if the circuit
+       cannot be solved. */
+    function response (x) {
+      try {
+        var solution = ns.solveCircuit(circuit.elements, Math.pow(10, x))
+        var input = solution.voltages[circuit.elements[circuit.input].nodes[0]]
+        input = JXG.C.sub(input, solution.voltages[circuit.elements[circuit.input].nodes[1]])
+        error = ''
+        return JXG.C.div(solution.voltages[circuit.output], input)
+      } catch (e) {
+        error = e.message
+        return null
+      }
+    }
+
+    board.create('functiongraph', [
+      function (x) {
+        var H = response(x)
+        if (H) {
+          return 20 * Math.log10(JXG.C.abs(H))
+        }
+      },
+      function () { return sweep()[0] },
+      function () { return sweep()[1] }
+    ], { strokeWidth: 3 })
+
+    board.create('text', [
+      function () { return sweep()[0] }, -55, function () { return error }
+    ], { strokeColor: 'red' })
+
+    createLogFrequencyAxes(board, 'gain in dB', function () { return sweep()[0] })
+
+    phaseBoard.create('functiongraph', [
+      function (x) {
+        var H = response(x)
+        if (H) {
+          return Math.atan2(H.imaginary, H.real) * 180 / Math.PI
+        }
+      },
+      function () { return sweep()[0] },
+      function () { return sweep()[1] }
+    ], { strokeWidth: 3 })
+
+    createLogFrequencyAxes(phaseBoard, 'phase in degrees', function () { return sweep()[0] })
+
+    showSweep()
+
+    return {
+      board: board,
+      circuit: function () { return circuit },
+      setCircuit: function (newCircuit) {
+        circuit = newCircuit
+        showSweep()
+        board.update()
+      }
+    }
+  }
+
+  /* Parse a number in SPICE notation, such as '4.7k', '10uF' or '1meg',
+     ignoring any letters after the scale factor. Returns NaN if it is not a
+     number. */
+  function parseSpiceNumber (text) {
+    var factors = { f: 1e-15, p: 1e-12, n: 1e-9, u: 1e-6, m: 1e-3, mil: 25.4e-6, k: 1e3, meg: 1e6, g: 1e9, t: 1e12 }
+    var match = /^([+-]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e[+-]?[0-9]+)?)(meg|mil|[fpnumkgt])?[a-z]*$/i.exec(text)
+    if (!match) {
+      return NaN
+    }
+    return parseFloat(match[1]) * (match[2] ? factors[match[2].toLowerCase()] : 1)
+  }
+
+  /* Format a number in SPICE notation with a scale factor. */
+  function formatSpiceNumber (value) {
+    var suffixes = ['f', 'p', 'n', 'u', 'm', '', 'k', 'meg', 'g', 't']
+    if (value === 0) {
+      return '0'
+    }
+    var group = Math.floor(Math.log10(Math.abs(value)) / 3 + 1e-9)
+    group = Math.min(Math.max(group, -5), 4)
+    return Number((value / Math.pow(1000, group)).toPrecision(6)).toString() +
+      suffixes[group + 5]
+  }
+
+  /* Parse a SPICE netlist into a circuit for lib.solveCircuit and
+     lib.drawCircuitResponse. The first line is the title, as in SPICE.
+     Resistors, inductors, capacitors and independent V and I sources with an
+     AC magnitude and phase are understood, as are E sources and K lines
+     coupling two inductors into a transformer, along with .ac sweeps and a
+     v(node) in .print, .plot or .probe, which picks the output node. Otherwise
+     the output is the node named 'out', or failing that the last node. Node 0
+     or gnd is ground. Subcircuits, .param and .include would change the
+     meaning of the rest of the netlist, so they throw an Error giving the line
+     number, as do other elements. Other dot commands are ignored. */
+  ns.parseNetlist = function (text) {
+    var circuit = { title: '', elements: [], nodeNames: ['0'], input: -1, output: -1 }
+    var lines = []
+    var inputSource = null
+
+    text.split(/\r?\n/).forEach(function (line, i) {
+      line = line.replace(/[;$].*$/, '').trim()
+      if (i === 0) {
+        circuit.title = line
+      } else if (/^\+/.test(line) && lines.length > 0) {
+        lines[lines.length - 1].text += ' ' + line.slice(1)
+      } else if (line !== '' && line[0] !== '*') {
+        lines.push({ number: i + 1, text: line })
+      }
+    })
+
+    function fail (line, message) {
+      throw new Error('line ' + line.number + ': ' + message)
+    }
+
+    /* Replace the two inductors named on a K line with a transformer. */
+    function coupledInductors (line, tokens) {
+      var inductors = [tokens[1], tokens[2]].map(function (name) {
+        var inductor = circuit.elements.filter(function (element) {
+          return element.type === 'L' && String(name).toUpperCase() === element.name.toUpperCase()
+        })[0]
+        if (!inductor) {
+          fail(line, 'no inductor "' + name + '" to couple; inductors must come before K lines')
+        }
+        return inductor
+      })
+      var coupling = parseSpiceNumber(tokens[3])
+      if (!(coupling > 0 && coupling <= 1)) {
+        fail(line, '"' + tokens[0] + '" needs a coupling coefficient between 0 and 1')
+      }
+
+      inductors.forEach(function (inductor) {
+        circuit.elements.splice(circuit.elements.indexOf(inductor), 1)
+      })
+      return {
+        name: tokens[0],
+        type: 'K',
+        nodes: inductors[0].nodes,
+        secondary: inductors[1].nodes,
+        value: inductors[0].value,
+        ratio: Math.sqrt(inductors[1].value / inductors[0].value),
+        coupling: coupling
+      }
+    }
+
+    function node (name) {
+      name = name.toLowerCase()
+      if (name === 'gnd') {
+        return 0
+      }
+      if (circuit.nodeNames.indexOf(name) === -1) {
+        circuit.nodeNames.push(name)
+      }
+      return circuit.nodeNames.indexOf(name)
+    }
+
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i]
+      var tokens = line.text.replace(/\([^)]*\)/g, ' ').replace(/=/g, ' = ').split(/\s+/)
+      var name = tokens[0]
+      var type = name[0].toUpperCase()
+
+      if (type === '.') {
+        var command = name.toLowerCase()
+        if (command === '.end') {
+          break
+        }
+        if (command === '.subckt' || command === '.ends') {
+          fail(line, 'subcircuits are not supported')
+        }
+        if (['.param', '.include', '.inc', '.lib'].indexOf(command) !== -1) {
+          fail(line, name + ' is not supported')
+        }
+        if (command === '.ac') {
+          var start = parseSpiceNumber(tokens[3])
+          var stop = parseSpiceNumber(tokens[4])
+          if (!(start > 0 && stop > start)) {
+            fail(line, '.ac needs a start and stop frequency')
+          }
+          circuit.sweep = { type: tokens[1].toLowerCase(), points: parseSpiceNumber(tokens[2]), start: start, stop: stop }
+        }
+        if (command === '.print' || command === '.plot' || command === '.probe') {
+          var probe = /\bv\(\s*([^,)\s]+)\s*\)/i.exec(line.text)
+          if (probe) {
+            circuit.output = node(probe[1])
+          }
+        }
+        continue
+      }
+
+      if (type === 'K') {
+        circuit.elements.push(coupledInductors(line, tokens))
+        continue
+      }
+      if ('RLCVIE'.indexOf(type) === -1) {
+        fail(line, 'unsupported element "' + name + '"')
+      }
+      if (tokens.length < 3) {
+        fail(line, '"' + name + '" needs two nodes')
+      }
+
+      var element = { name: name, type: type, nodes: [node(tokens[1]), node(tokens[2])] }
+
+      if (type === 'V' || type === 'I') {
+        var ac = tokens.map(function (t) { return t.toLowerCase() }).indexOf('ac')
+        element.value = 0
+        element.phase = 0
+        if (ac !== -1) {
+          element.value = tokens[ac + 1] && !isNaN(parseSpiceNumber(tokens[ac + 1]))
+            ? parseSpiceNumber(tokens[ac + 1]) : 1
+          if (tokens[ac + 2] && !isNaN(parseSpiceNumber(tokens[ac + 2]))) {
+            element.phase = parseSpiceNumber(tokens[ac + 2])
+          }
+          if (type === 'V' && !inputSource) {
+            inputSource = element
+          }
+        }
+      } else if (type === 'E') {
+        element.control = [node(tokens[3]), node(tokens[4])]
+        element.value = parseSpiceNumber(tokens[5])
+        if (isNaN(element.value)) {
+          fail(line, '"' + name + '" needs two control nodes and a gain')
+        }
+      } else {
+        element.value = parseSpiceNumber(tokens[3])
+        if (!(element.value > 0)) {
+          fail(line, '"' + name + '" needs a positive value')
+        }
+      }
+
+      circuit.elements.push(element)
+    }
+
+    circuit.input = circuit.elements.indexOf(inputSource)
+    if (circuit.input === -1) {
+      throw new Error('the netlist needs a voltage source with an AC magnitude')
+    }
+    if (circuit.output === -1) {
+      var out = circuit.nodeNames.indexOf('out')
+      circuit.output = out !== -1 ? out : circuit.nodeNames.length - 1
+    }
+    return circuit
+  }
+
+  /* Write a circuit out as a SPICE netlist, the reverse of lib.parseNetlist.
+     Elements without names are named after their type and position, and nodes
+     without names by their numbers. */
+  ns.exportNetlist = function (circuit) {
+    var names = circuit.nodeNames || []
+
+    function nodeName (n) {
+      return n === 0 ? '0' : names[n] || String(n)
+    }
+
+    var lines = [circuit.title || 'reactance-capacitor circuit']
+
+    circuit.elements.forEach(function (element, i) {
+      var name = element.name && element.name[0].toUpperCase() === element.type
+        ? element.name : element.type + (i + 1)
+      var line = [name, nodeName(element.nodes[0]), nodeName(element.nodes[1])]
+
+      if (element.type === 'V' || element.type === 'I') {
+        line.push('AC', formatSpiceNumber(element.value), formatSpiceNumber(element.phase || 0))
+      } else if (element.type === 'E') {
+        if (element.gbw) {
+          throw new Error(name + ' has a gain-bandwidth product, which SPICE cannot give an E source')
+        }
+        line.push(nodeName(element.control[0]), nodeName(element.control[1]),
+          formatSpiceNumber(element.value))
+      } else if (element.type === 'K') {
+        // Two inductors, L2 = n^2 L1, coupled by a K line
+        var primary = 'L' + name + 'P'
+        var secondary = 'L' + name + 'S'
+        lines.push([primary, nodeName(element.nodes[0]), nodeName(element.nodes[1]),
+          formatSpiceNumber(element.value)].join(' '))
+        lines.push([secondary, nodeName(element.secondary[0]), nodeName(element.secondary[1]),
+          formatSpiceNumber(element.value * element.ratio * element.ratio)].join(' '))
+        if (element.capacitance) {
+          lines.push(['C' + name, nodeName(element.nodes[0]), nodeName(element.secondary[0]),
+            formatSpiceNumber(element.capacitance)].join(' '))
+        }
+        line = [name, primary, secondary, String(element.coupling)]
+      } else if (element.type === 'R' || element.type === 'L' || element.type === 'C') {
+        line.push(formatSpiceNumber(element.value))
+      } else {
+        throw new Error(name + ' cannot be written as SPICE')
+      }
+      lines.push(line.join(' '))
+    })
+
+    var sweep = circuit.sweep || { type: 'dec', points: 10, start: 0.01, stop: 1000 }
+    lines.push(['.ac', sweep.type, sweep.points, formatSpiceNumber(sweep.start),
+      formatSpiceNumber(sweep.stop)].join(' '))
+    if (circuit.output >= 0) {
+      lines.push('.print ac v(' + nodeName(circuit.output) + ')')
+    }
+    lines.push('.end')
+
+    return lines.join('\n') + '\n'
+  }
+
+  /* Outline of each component's symbol as a polyline in local coordinates,
+     with s running along the component from -0.5 to 0.5 and t across it.
+     NaN breaks the line. */
+  function schematicSymbol (type) {
+    var s = []
+    var t = []
+    var i
+
+    if (type === 'R') {
+      s = [-0.5, -0.4]
+      t = [0, 0]
+      for (i = 0; i < 6; i++) {
+        s.push(-0.35 + 0.14 * i)
+        t.push(i % 2 ? -0.2 : 0.2)
+      }
+      s.push(0.4, 0.5)
+      t.push(0, 0)
+    } else if (type === 'C') {
+      s = [-0.5, -0.1, NaN, -0.1, -0.1, NaN, 0.1, 0.1, NaN, 0.1, 0.5]
+      t = [0, 0, NaN, -0.35, 0.35, NaN, -0.35, 0.35, NaN, 0, 0]
+    } else if (type === 'L') {
+      for (i = 0; i <= 64; i++) {
+        var angle = Math.PI * (i % 16) / 16
+        s.push(-0.4 + 0.2 * Math.floor(i / 16) + 0.1 - 0.1 * Math.cos(angle))
+        t.push(0.15 * Math.sin(angle))
+      }
+      s = [-0.5].concat(s.slice(0, 64), [0.4, 0.5])
+      t = [0].concat(t.slice(0, 64), [0, 0])
+    } else if (type === 'V') {
+      s = [-0.5, -0.3, NaN]
+      t = [0, 0, NaN]
+      for (i = 0; i <= 32; i++) {
+        s.push(0.3 * Math.cos(Math.PI * i / 16))
+        t.push(0.3 * Math.sin(Math.PI * i / 16))
+      }
+      s.push(NaN)
+      t.push(NaN)
+      for (i = 0; i <= 16; i++) {
+        s.push(-0.15 + 0.3 * i / 16)
+        t.push(0.1 * Math.sin(2 * Math.PI * i / 16))
+      }
+      s.push(NaN, 0.3, 0.5)
+      t.push(NaN, 0, 0)
+    } else {
+      s = [-0.5, 0.5]
+      t = [0, 0]
+    }
+
+    return { s: s, t: t }
+  }
+
+  /* Draw a schematic editor whose components are placed with the buttons and
+     wired together by dragging their terminals, which snap to a grid. Ends
+     which meet, or are joined by a wire, are one node. Values are edited in
+     the box beside each component, with SI prefixes. The circuit is solved
+     for the impedance seen by the first source, plotted on the second board,
+     and is passed to circuitPlot, so its response is drawn there. */
+  ns.drawSchematic = function (schematicElemID, impedanceElemID, circuitPlot) {
+    var board = initBoard(schematicElemID, [-10, 8, 10, -8])
+    var impedanceBoard = initBoard(impedanceElemID, [-2.5, 3.2, 3, -2.5])
+    board.addChild(impedanceBoard)
+
+    board.create('grid', [])
+
+    var components = []
+    var counts = { R: 0, C: 0, L: 0, V: 0, W: 0 }
+    var defaults = { R: '1', C: '100m', L: '100m', V: '1' }
+    var circuit = null
+    var error = ''
+
+    function terminal (coords, attributes) {
+      return board.create('point', coords, JXG.deepCopy({
+        name: '',
+        size: 3,
+        snapToGrid: true,
+        snapSizeX: 1,
+        snapSizeY: 1
+      }, attributes || {}))
+    }
+
+    /* Components have two terminals, joined by the symbol for their type.
+       Wires (W) have no value, while ground and the output probe have a single
+       terminal. */
+    function place (type, from, to) {
+      var component = { type: type, objects: [] }
+
+      if (type === 'ground' || type === 'probe') {
+        component.terminals = [terminal(from, type === 'probe'
+          ? { name: 'out', strokeColor: 'blue', fillColor: 'blue' }
+          : { strokeColor: 'black', fillColor: 'black' })]
+        component.objects = component.terminals.slice()
+
+        if (type === 'ground') {
+          var p = component.terminals[0]
+          component.objects.push(board.create('curve', [
+            [0, 0, NaN, -0.4, 0.4, NaN, -0.25, 0.25, NaN, -0.1, 0.1].map(function (dx) {
+              return function () { return p.X() + dx }
+            }),
+            [0, -0.4, NaN, -0.4, -0.4, NaN, -0.55, -0.55, NaN, -0.7, -0.7].map(function (dy) {
+              return function () { return p.Y() + dy }
+            })
+          ], { strokeColor: 'black', strokeWidth: 2 }))
+        }
+        components.push(component)
+        return component
+      }
+
+      counts[type]++
+      component.name = type + counts[type]
+      component.terminals = [terminal(from), terminal(to)]
+      component.objects = component.terminals.slice()
+
+      var a = component.terminals[0]
+      var b = component.terminals[1]
+      var symbol = schematicSymbol(type)
+
+      var outline = board.create('curve', [[0], [0]], { strokeColor: 'black', strokeWidth: 2 })
+      outline.updateDataArray = function () {
+        var dx = b.X() - a.X()
+        var dy = b.Y() - a.Y()
+        var length = Math.sqrt(dx * dx + dy * dy) || 1
+        var size = Math.min(length, 1.5)
+        var ux = dx / length
+        var uy = dy / length
+        var mx = (a.X() + b.X()) / 2
+        var my = (a.Y() + b.Y()) / 2
+
+        this.dataX = [a.X()]
+        this.dataY = [a.Y()]
+        for (var i = 0; i < symbol.s.length; i++) {
+          this.dataX.push(mx + size * (symbol.s[i] * ux - symbol.t[i] * uy))
+          this.dataY.push(my + size * (symbol.s[i] * uy + symbol.t[i] * ux))
+        }
+        this.dataX.push(b.X())
+        this.dataY.push(b.Y())
+      }
+      component.objects.push(outline)
+
+      if (type !== 'W') {
+        var editor = board.create('input', [0, 0, defaults[type], component.name + ' '],
+          { cssStyle: 'width: 4em' })
+
+        /* Inputs never recompute their coordinates, so move the editor to
+           beside the component whenever it updates. */
+        var updateEditor = editor.update
+        editor.update = function () {
+          this.coords.setCoordinates(JXG.COORDS_BY_USER,
+            [(a.X() + b.X()) / 2 + 0.5, (a.Y() + b.Y()) / 2 + 0.6])
+          return updateEditor.apply(this, arguments)
+        }
+        component.editor = editor
+        component.objects.push(editor)
+      }
+
+      components.push(component)
+      return component
+    }
+
+    var toolbar = [
+      ['resistor', 'R'], ['capacitor', 'C'], ['inductor', 'L'], ['source', 'V'],
+      ['wire', 'W'], ['ground', 'ground'], ['probe', 'probe']
+    ]
+    toolbar.forEach(function (tool, i) {
+      board.create('button', [-9.8 + 2.5 * (i % 4), i < 4 ? 7.5 : 6.7, tool[0], function () {
+        // New parts go on one of four rows, so they don't land on each other
+        var y = -6 + components.length % 4
+        place(tool[1], [2, y], [5, y])
+        board.update()
+      }])
+    })
+
+    board.create('button', [0.2, 6.7, 'remove last', function () {
+      var component = components.pop()
+      if (component) {
+        component.objects.slice().reverse().forEach(function (object) {
+          board.removeObject(object)
+        })
+        board.update()
+      }
+    }])
+
+    /* Work out the nodes from where terminals meet, then build the circuit
+       for lib.solveCircuit. Returns null and sets error if it is incomplete. */
+    function buildCircuit () {
+      var parent = {}
+
+      function key (point) {
+        return Math.round(point.X()) + ',' + Math.round(point.Y())
+      }
+
+      function find (k) {
+        if (parent[k] === undefined) {
+          parent[k] = k
+        }
+        return parent[k] === k ? k : (parent[k] = find(parent[k]))
+      }
+
+      components.forEach(function (component) {
+        if (component.type === 'W') {
+          parent[find(key(component.terminals[0]))] = find(key(component.terminals[1]))
+        }
+      })
+
+      var grounds = components.filter(function (c) { return c.type === 'ground' })
+      var probes = components.filter(function (c) { return c.type === 'probe' })
+      if (grounds.length === 0) {
+        error = 'add a ground'
+        return null
+      }
+      if (probes.length === 0) {
+        error = 'add a probe to choose the output'
+        return null
+      }
+
+      var nodes = {}
+      var nodeCount = 0
+      grounds.forEach(function (c) { nodes[find(key(c.terminals[0]))] = 0 })
+
+      function node (point) {
+        var root = find(key(point))
+        if (nodes[root] === undefined) {
+          nodes[root] = ++nodeCount
+        }
+        return nodes[root]
+      }
+
+      var elements = []
+      var input = -1
+      for (var i = 0; i < components.length; i++) {
+        var component = components[i]
+        if (!component.editor) {
+          continue
+        }
+
+        var value = parseSI(component.editor.Value())
+        if (!(value > 0)) {
+          error = 'enter a positive value for ' + component.name
+          return null
+        }
+        if (component.type === 'V' && input === -1) {
+          input = elements.length
+        }
+        elements.push({
+          name: component.name,
+          type: component.type,
+          nodes: [node(component.terminals[0]), node(component.terminals[1])],
+          value: value
+        })
+      }
+
+      if (input === -1) {
+        error = 'add a source'
+        return null
+      }
+
+      error = ''
+      return { title: 'Schematic', elements: elements, input: input, output: node(probes[0].terminals[0]) }
+    }
+
+    /* Only pass the circuit on once the schematic has been edited, so the
+       circuit circuitPlot started with, or a netlist loaded into it, is kept
+       until then. */
+    var edited = false
+    var lastCircuit = ''
+    board.on('update', function () {
+      circuit = buildCircuit()
+      if (circuit && JSON.stringify(circuit) !== lastCircuit) {
+        lastCircuit = JSON.stringify(circuit)
+        if (edited) {
+          circuitPlot.setCircuit(circuit)
+        }
+      }
+    })
+
+    board.create('text', [-9.8, -7.5, function () { return error }], { strokeColor: 'red' })
+
+    /* Impedance seen by the source, V / I, plotted on log axes. */
+    impedanceBoard.create('functiongraph', [
+      function (x) {
+        if (!circuit) {
+          return NaN
+        }
+        try {
+          var solution = ns.solveCircuit(circuit.elements, Math.pow(10, x))
+          var source = circuit.elements[circuit.input]
+          var V = JXG.C.sub(solution.voltages[source.nodes[0]], solution.voltages[source.nodes[1]])
+          return Math.log10(JXG.C.abs(JXG.C.div(V, solution.currents[circuit.input])))
+        } catch (e) {
+          return NaN
+        }
+      }
+    ], { strokeWidth: 3 })
+
+    createLogAxes(impedanceBoard, 'f', '|Z|', [-2, -2], true)
+
+    /* Start with an RC low-pass filter. */
+    place('V', [-6, 2], [-6, -2])
+    place('R', [-6, 2], [0, 2])
+    place('C', [0, 2], [0, -2])
+    place('W', [-6, -2], [0, -2])
+    place('ground', [0, -2])
+    place('probe', [0, 2])
+    board.update()
+    edited = true
   }
 })(lib)